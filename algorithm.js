@@ -1,356 +1,3461 @@
 /**
  * DRONE DELIVERY OPTIMIZATION ALGORITHM
- * Implementation of Greedy + Nearest Neighbor TSP
+ * Implementation of Greedy + Nearest Neighbor TSP, with pluggable
+ * savings, sweep and k-means construction strategies
  * 
- * Time Complexity: O(k × n²)
- * Space Complexity: O(n²)
+ * Time Complexity: O(s × k × n²) for s sorties per drone
+ * Space Complexity: O(n²), or O(n) in large-instance mode (see buildSpatialIndex)
  */
 
 class Zone {
-    constructor(id, priority, demand, lat, lng) {
+    constructor(id, priority, demand, lat, lng, { earliest = 0, latest = Infinity, serviceTime = 0, name = null } = {}) {
         this.id = id;
+        this.name = name; // Optional, e.g. the camp's name
         this.priority = priority; // 1=critical, 2=moderate, 3=low
         this.demand = demand;
         this.lat = lat;
         this.lng = lng;
-        this.served = false;
+        this.earliest = earliest; // Delivery window, minutes from mission start
+        this.latest = latest;
+        this.serviceTime = serviceTime; // Minutes spent on each drop-off
+        this.delivered = 0; // Units dropped so far (may be split across sorties)
+        this.deliveryCap = Infinity; // Units to reach for now (lowered while a fairness floor applies)
+        this.isDepot = false;
+        this.isStation = false;
+        this.isPosition = false;
+    }
+
+    /**
+     * How the zone is shown in popups and route text
+     */
+    get label() {
+        return this.name || `Zone${this.id}`;
+    }
+
+    get isReliefZone() {
+        return !this.isDepot && !this.isStation && !this.isPosition;
+    }
+
+    get hasTimeWindow() {
+        return this.earliest > 0 || this.latest < Infinity;
+    }
+
+    get remaining() {
+        return Math.max(0, Math.min(this.demand, this.deliveryCap) - this.delivered);
+    }
+
+    get served() {
+        return this.delivered >= this.demand;
+    }
+
+    get partiallyServed() {
+        return this.delivered > 0 && this.delivered < this.demand;
     }
 }
 
 class Drone {
-    constructor(id, batteryCapacity, payloadCapacity) {
+    constructor(id, batteryCapacity, payloadCapacity, cruiseSpeed = 60, name = `Drone ${id}`) {
         this.id = id;
+        this.name = name;
         this.batteryCapacity = batteryCapacity;
         this.payloadCapacity = payloadCapacity;
+        this.cruiseSpeed = cruiseSpeed; // km/h
+        this.depotId = 0; // Home depot the drone starts from
+        this.location = 0; // Zone index of the depot the drone is currently at
+        this.reserveMargin = 0; // Fraction of the battery never planned for use
+        this.charge = batteryCapacity; // Battery left (km of empty flight) during planning
+        this.energyModel = null; // Overrides the optimizer's energy model
         this.route = [];
+        this.sorties = [];
         this.totalDistance = 0;
+        this.totalEnergy = 0;
         this.totalDelivered = 0;
+        this.missionTime = 0; // minutes since mission start
+        this.failed = false; // Grounded mid-mission, gets no further sorties
+        this.sortiesFlown = 0; // Sorties launched before the last re-plan
+    }
+
+    /**
+     * Battery available for planning (km of empty flight), after the reserve
+     */
+    get usableBattery() {
+        return this.batteryCapacity * (1 - this.reserveMargin);
     }
 }
 
-class DroneDeliveryOptimizer {
-    constructor() {
-        this.zones = [];
-        this.drones = [];
-        this.distanceMatrix = [];
-        this.baseLocation = null;
-        this.executionTime = 0;
+/**
+ * Energy model: battery drawn per km grows linearly with the payload on board.
+ * Battery is measured in km of empty flight, so an empty drone uses 1 per km
+ * and a fully loaded one 1 + loadFactor. loadFactor = 0 gives the flat model.
+ * Any object with a consumption(drone, payload) method can be plugged in.
+ */
+class LinearEnergyModel {
+    constructor(loadFactor = 0.5) {
+        this.loadFactor = loadFactor;
     }
 
-    /**
-     * Set the base location for drones
-     */
-    setBase(lat, lng) {
-        this.baseLocation = { lat, lng, id: 0 };
-        // Insert base at index 0
-        this.zones = [
-            { id: 0, priority: 0, demand: 0, lat, lng, served: false },
-            ...this.zones.filter(z => z.id !== 0)
-        ];
+    consumption(drone, payload) {
+        return 1 + this.loadFactor * payload / drone.payloadCapacity;
     }
+}
 
-    /**
-     * Add a relief zone
-     */
-    addZone(zone) {
-        // Ensure IDs are unique and sequential
-        zone.id = this.zones.filter(z => z.id !== 0).length + 1;
-        this.zones.push(zone);
+/**
+ * Depot / forward operating base. Depots live in the zones array with no
+ * demand; the main base has id 0 and forward bases negative ids, so relief
+ * zone ids stay 1..n
+ */
+class Depot extends Zone {
+    constructor(id, lat, lng, name = id === 0 ? 'Main Base' : `Forward Base ${-id}`, stock = Infinity) {
+        super(id, 0, 0, lat, lng);
+        this.isDepot = true;
+        this.name = name;
+        this.stock = stock; // Supply units available at this depot
+        this.stockLeft = stock;
     }
+}
 
-    /**
-     * Add a drone to the fleet
-     */
-    addDrone(drone) {
-        this.drones.push(drone);
+/**
+ * Charging or battery-swap station: a stop with no demand where the battery
+ * is restored to full after serviceTime minutes
+ */
+class ChargingStation extends Zone {
+    constructor(id, lat, lng, serviceTime = 10, name = `Station ${id}`) {
+        super(id, 0, 0, lat, lng, { serviceTime });
+        this.isStation = true;
+        this.name = name;
     }
+}
 
-    /**
-     * Calculate Haversine distance between two coordinates (in km)
-     */
-    calculateDistance(lat1, lng1, lat2, lng2) {
-        const R = 6371; // Earth's radius in km
-        const dLat = this.toRad(lat2 - lat1);
-        const dLng = this.toRad(lng2 - lng1);
+/**
+ * Where a drone is when the mission is re-planned in flight: a one-off start
+ * node whose stock is the payload still on board. The drone's first new
+ * sortie leaves from here and returns to the depot it was heading for.
+ */
+class DronePosition extends Zone {
+    constructor(drone, lat, lng, payload, returnDepotId) {
+        super(`P${drone.id}`, 0, 0, lat, lng);
+        this.isPosition = true;
+        this.name = `${drone.name} (in flight)`;
+        this.stock = payload;
+        this.stockLeft = payload;
+        this.returnDepotId = returnDepotId;
+    }
+}
 
-        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-            Math.cos(this.toRad(lat1)) * Math.cos(this.toRad(lat2)) *
-            Math.sin(dLng / 2) * Math.sin(dLng / 2);
+/**
+ * Polygon the drones must not overfly (airport, military area, hazard site)
+ */
+class NoFlyZone {
+    constructor(id, points, name = `No-fly zone ${id}`) {
+        this.id = id;
+        this.name = name;
+        this.points = points; // [{ lat, lng }, ...], ring closed implicitly
+    }
+}
 
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-        return R * c;
+/**
+ * One round trip of a drone: leaves base loaded, visits zones, returns to base
+ */
+class Sortie {
+    constructor(number, route, drops, distance, energy, delivered, schedule) {
+        this.number = number;
+        this.route = route; // Zone indices, starting at base (return leg implied)
+        this.drops = drops; // Units dropped at each route stop (0 at base)
+        this.distance = distance;
+        this.energy = energy; // { total, legs } from routeEnergy()
+        this.delivered = delivered;
+        this.stops = schedule.stops; // Arrival/service times per zone stop
+        this.endDepot = schedule.endDepot; // Zone index of the depot the sortie returns to
+        this.startTime = schedule.startTime; // minutes
+        this.endTime = schedule.endTime;
     }
+}
 
-    toRad(degrees) {
-        return degrees * (Math.PI / 180);
+/**
+ * Solver strategy: how zones are shared out between drones and how each
+ * sortie is built. assignZones(optimizer) returns a Map of drone -> Set of
+ * preferred zone indices; buildSortie(optimizer, availableZones, drone,
+ * maxEnergy, preferredZones, startTime) returns { route, drops } like
+ * nearestNeighborTSP(). Every sortie is then improved with 2-opt.
+ * Register more with optimizer.registerStrategy().
+ */
+class NearestNeighborStrategy {
+    constructor() {
+        this.name = 'nearestNeighbor';
+        this.label = 'Greedy nearest neighbour';
     }
 
-    /**
-     * Build distance matrix for all zones
-     * Complexity: O(n²)
-     */
-    buildDistanceMatrix() {
-        const n = this.zones.length;
-        this.distanceMatrix = Array(n).fill(null).map(() => Array(n).fill(0));
+    assignZones(optimizer) {
+        return optimizer.assignZonesToDrones();
+    }
 
-        for (let i = 0; i < n; i++) {
-            for (let j = 0; j < n; j++) {
-                if (i !== j) {
-                    this.distanceMatrix[i][j] = this.calculateDistance(
-                        this.zones[i].lat,
-                        this.zones[i].lng,
-                        this.zones[j].lat,
-                        this.zones[j].lng
-                    );
+    buildSortie(optimizer, availableZones, drone, maxEnergy, preferredZones, startTime) {
+        return optimizer.nearestNeighborTSP(availableZones, drone, maxEnergy, preferredZones, startTime);
+    }
+}
+
+/**
+ * Clarke-Wright savings: start from one out-and-back trip per zone, join
+ * trips end to end in order of the distance saved while load, battery and
+ * windows allow, then fly the joined trip worth the most. In
+ * large-instance mode only the zones nearest the depot take part and only
+ * near neighbours are joined.
+ * Complexity: O(n² log n + n² × L) per sortie
+ */
+class SavingsStrategy extends NearestNeighborStrategy {
+    constructor() {
+        super();
+        this.name = 'savings';
+        this.label = 'Clarke-Wright savings';
+    }
+
+    buildSortie(optimizer, availableZones, drone, maxEnergy, preferredZones, startTime) {
+        const base = drone.location;
+
+        // The drone's own zones, or anything left once those are done
+        const own = availableZones.filter(idx => preferredZones && preferredZones.has(idx));
+        let pool = own.length > 0 ? own : availableZones;
+        if (optimizer.largeInstance) {
+            const candidates = new Set(pool);
+            pool = optimizer.candidateZones(base, idx => candidates.has(idx), 4 * optimizer.settings.candidateCount);
+        }
+        pool = pool.filter(idx => optimizer.planStops([idx], drone, maxEnergy, startTime) !== null);
+
+        const tripOf = new Map(pool.map(idx => [idx, [idx]]));
+        const saving = (i, j) => ({
+            i,
+            j,
+            saving: optimizer.distanceBetween(base, i) + optimizer.distanceBetween(base, j) - optimizer.distanceBetween(i, j)
+        });
+        const savings = [];
+        if (optimizer.largeInstance) {
+            // Pairs of near neighbours (some both ways round, which does no harm)
+            const inPool = new Set(pool);
+            pool.forEach(i => optimizer.candidateZones(i, j => j !== i && inPool.has(j)).forEach(j => savings.push(saving(i, j))));
+        } else {
+            for (let a = 0; a < pool.length; a++) {
+                for (let b = a + 1; b < pool.length; b++) {
+                    savings.push(saving(pool[a], pool[b]));
                 }
             }
         }
-    }
+        savings.sort((x, y) => y.saving - x.saving);
 
-    /**
-     * Sort zones by priority (critical first)
-     * Complexity: O(n log n)
-     */
-    sortZonesByPriority() {
-        // Keep base at index 0, sort rest
-        const base = this.zones[0];
-        const otherZones = this.zones.slice(1);
+        for (const { i, j, saving } of savings) {
+            if (saving <= 0) break;
 
-        otherZones.sort((a, b) => {
-            if (a.priority !== b.priority) {
-                return a.priority - b.priority; // Lower priority number = higher importance
-            }
-            return b.demand - a.demand; // Higher demand first if same priority
-        });
+            const tripI = tripOf.get(i);
+            const tripJ = tripOf.get(j);
+            if (tripI === tripJ) continue;
 
-        this.zones = [base, ...otherZones];
-    }
+            // Only trip ends can be joined: i last, then j first
+            const endI = tripI[tripI.length - 1] === i ? tripI : tripI[0] === i ? [...tripI].reverse() : null;
+            const startJ = tripJ[0] === j ? tripJ : tripJ[tripJ.length - 1] === j ? [...tripJ].reverse() : null;
+            if (!endI || !startJ) continue;
 
-    /**
-     * Nearest Neighbor TSP with priority weighting
-     * Complexity: O(n²)
-     */
-    nearestNeighborTSP(availableZones, drone) {
-        const route = [];
-        const visited = new Set();
-        const baseIdx = 0;
+            const joined = [...endI, ...startJ];
+            if (optimizer.planStops(joined, drone, maxEnergy, startTime) === null) continue;
 
-        let current = baseIdx;
-        route.push(current);
-        visited.add(current);
+            joined.forEach(idx => tripOf.set(idx, joined));
+        }
 
-        let currentDistance = 0;
+        // Fly the trip scoring best on the objective
+        let best = null;
+        let bestValue = -Infinity;
+        for (const trip of new Set(tripOf.values())) {
+            const plan = optimizer.planStops(trip, drone, maxEnergy, startTime);
+            let value = -optimizer.settings.distanceCost * optimizer.calculateRouteDistance(plan.route);
+            plan.drops.forEach((units, idx) => value += optimizer.deliveryValue(optimizer.zones[idx], units));
 
-        while (true) {
-            let nearest = -1;
-            let minEffectiveDistance = Infinity;
+            if (value > bestValue) {
+                bestValue = value;
+                best = plan;
+            }
+        }
 
-            // Find nearest unvisited zone with priority weighting
-            for (const zoneIdx of availableZones) {
-                if (!visited.has(zoneIdx)) {
-                    const dist = this.distanceMatrix[current][zoneIdx];
-                    const zone = this.zones[zoneIdx];
+        return best || optimizer.planStops([], drone, maxEnergy, startTime) || { route: [base], drops: new Map() };
+    }
+}
+
+/**
+ * Sweep: zones are ordered by bearing from the main base and cut into one
+ * sector per drone, sized to its payload; sorties take zones in sweep order
+ * Complexity: O(n log n) to assign, O(n × L) per sortie
+ */
+class SweepStrategy extends NearestNeighborStrategy {
+    constructor() {
+        super();
+        this.name = 'sweep';
+        this.label = 'Sweep';
+    }
 
-                    // Apply priority weighting (divide by priority to favor critical zones)
-                    const effectiveDist = dist / zone.priority;
+    bearing(optimizer, origin, idx) {
+        const zone = optimizer.zones[idx];
+        return Math.atan2(zone.lat - origin.lat, (zone.lng - origin.lng) * Math.cos(optimizer.toRad(origin.lat)));
+    }
 
-                    // Check battery feasibility
-                    const returnDist = this.distanceMatrix[zoneIdx][baseIdx];
-                    const totalDist = currentDistance + dist + returnDist;
+    assignZones(optimizer) {
+        const drones = optimizer.activeDrones();
+        const preferred = new Map(drones.map(drone => [drone, new Set()]));
+        const base = optimizer.zones[0];
 
-                    if (totalDist <= drone.batteryCapacity && effectiveDist < minEffectiveDistance) {
-                        // Check payload capacity
-                        const currentLoad = route
-                            .filter(idx => idx !== baseIdx)
-                            .reduce((sum, idx) => sum + this.zones[idx].demand, 0);
+        const zoneIndices = optimizer.zones.map((zone, idx) => idx).filter(idx => optimizer.zones[idx].remaining > 0);
+        if (zoneIndices.length === 0 || drones.length === 0) return preferred;
 
-                        if (currentLoad + zone.demand <= drone.payloadCapacity) {
-                            minEffectiveDistance = effectiveDist;
-                            nearest = zoneIdx;
-                        }
-                    }
-                }
+        // Start the sweep after the widest gap so no sector wraps across a cluster
+        zoneIndices.sort((a, b) => this.bearing(optimizer, base, a) - this.bearing(optimizer, base, b));
+        let start = 0;
+        let widestGap = -Infinity;
+        zoneIndices.forEach((idx, k) => {
+            const previous = zoneIndices[(k + zoneIndices.length - 1) % zoneIndices.length];
+            let gap = this.bearing(optimizer, base, idx) - this.bearing(optimizer, base, previous);
+            if (gap <= 0) gap += 2 * Math.PI;
+            if (gap > widestGap) {
+                widestGap = gap;
+                start = k;
             }
+        });
+        const swept = [...zoneIndices.slice(start), ...zoneIndices.slice(0, start)];
 
-            if (nearest === -1) break; // No feasible zone found
-
-            currentDistance += this.distanceMatrix[current][nearest];
-            route.push(nearest);
-            visited.add(nearest);
-            current = nearest;
+        // Sector sizes follow each drone's share of the fleet payload
+        const totalDemand = swept.reduce((sum, idx) => sum + optimizer.zones[idx].remaining, 0);
+        const totalPayload = drones.reduce((sum, drone) => sum + drone.payloadCapacity, 0);
+        let droneIdx = 0;
+        let filled = 0;
+        for (const idx of swept) {
+            const share = totalDemand * drones[droneIdx].payloadCapacity / totalPayload;
+            if (filled >= share && droneIdx < drones.length - 1) {
+                droneIdx++;
+                filled = 0;
+            }
+            preferred.get(drones[droneIdx]).add(idx);
+            filled += optimizer.zones[idx].remaining;
         }
 
-        return route;
+        return preferred;
     }
 
-    /**
-     * 2-Opt optimization to improve route
-     * Complexity: O(n² × iterations)
-     */
-    twoOptOptimize(route, maxDistance) {
-        if (route.length < 4) return route;
-
-        let improved = true;
-        const baseIdx = 0;
-        let iterations = 0;
-        const maxIterations = 5;
+    buildSortie(optimizer, availableZones, drone, maxEnergy, preferredZones, startTime) {
+        // The drone's own sector first, each part in sweep order around its depot
+        const origin = optimizer.zones[drone.location];
+        const byBearing = (a, b) => this.bearing(optimizer, origin, a) - this.bearing(optimizer, origin, b);
+        const own = availableZones.filter(idx => preferredZones && preferredZones.has(idx)).sort(byBearing);
+        const rest = availableZones.filter(idx => !(preferredZones && preferredZones.has(idx))).sort(byBearing);
 
-        while (improved && iterations < maxIterations) {
-            improved = false;
-            iterations++;
+        return optimizer.buildInOrder([...own, ...rest], drone, maxEnergy, startTime);
+    }
+}
 
-            for (let i = 1; i < route.length - 2; i++) {
-                for (let j = i + 1; j < route.length - 1; j++) {
-                    // Calculate old distance
-                    const oldDist = this.distanceMatrix[route[i - 1]][route[i]] +
-                        this.distanceMatrix[route[j]][route[j + 1]];
+/**
+ * k-means cluster-first, route-second: zones are grouped into one cluster
+ * per drone, each cluster goes to the drone whose depot is closest, and
+ * sorties are routed by nearest neighbour with the cluster as preference
+ * Complexity: O(iterations × n × k) to assign
+ */
+class KMeansStrategy extends NearestNeighborStrategy {
+    constructor(maxIterations = 20) {
+        super();
+        this.name = 'kMeans';
+        this.label = 'k-means cluster-first';
+        this.maxIterations = maxIterations;
+    }
 
-                    // Calculate new distance after swap
-                    const newDist = this.distanceMatrix[route[i - 1]][route[j]] +
-                        this.distanceMatrix[route[i]][route[j + 1]];
+    assignZones(optimizer) {
+        const drones = optimizer.activeDrones();
+        const preferred = new Map(drones.map(drone => [drone, new Set()]));
 
-                    if (newDist < oldDist) {
-                        // Create test route with reversed segment
-                        const testRoute = [...route];
-                        this.reverseSegment(testRoute, i, j);
+        const zoneIndices = optimizer.zones.map((zone, idx) => idx).filter(idx => optimizer.zones[idx].remaining > 0);
+        if (zoneIndices.length === 0 || drones.length === 0) return preferred;
 
-                        // Verify battery constraint
-                        const totalDist = this.calculateRouteDistance(testRoute);
+        // Planar coordinates (km-ish scale is not needed, only proportions)
+        const scale = Math.cos(optimizer.toRad(optimizer.zones[0].lat));
+        const point = idx => ({ x: optimizer.zones[idx].lng * scale, y: optimizer.zones[idx].lat });
+        const dist2 = (p, q) => (p.x - q.x) ** 2 + (p.y - q.y) ** 2;
 
-                        if (totalDist <= maxDistance) {
-                            route = testRoute;
-                            improved = true;
-                        }
-                    }
+        // Farthest-point seeding from the most urgent zone: deterministic and well spread
+        const k = Math.min(drones.length, zoneIndices.length);
+        const centers = [point(zoneIndices[0])];
+        while (centers.length < k) {
+            let farthest = zoneIndices[0];
+            let farthestDist = -1;
+            for (const idx of zoneIndices) {
+                const nearest = Math.min(...centers.map(center => dist2(point(idx), center)));
+                if (nearest > farthestDist) {
+                    farthestDist = nearest;
+                    farthest = idx;
                 }
             }
+            centers.push(point(farthest));
         }
 
-        return route;
-    }
+        // Lloyd iterations
+        let labels = zoneIndices.map(() => -1);
+        for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+            const next = zoneIndices.map(idx => {
+                const p = point(idx);
+                let best = 0;
+                centers.forEach((center, c) => {
+                    if (dist2(p, center) < dist2(p, centers[best])) best = c;
+                });
+                return best;
+            });
 
-    /**
-     * Reverse a segment of the route
-     */
-    reverseSegment(route, start, end) {
-        while (start < end) {
-            [route[start], route[end]] = [route[end], route[start]];
-            start++;
-            end--;
-        }
-    }
+            if (next.every((label, i) => label === labels[i])) break;
+            labels = next;
 
-    /**
-     * Calculate total distance of a route
-     */
-    calculateRouteDistance(route) {
-        if (route.length === 0) return 0;
+            centers.forEach((center, c) => {
+                const members = zoneIndices.filter((idx, i) => labels[i] === c).map(point);
+                if (members.length === 0) return;
+                center.x = members.reduce((sum, p) => sum + p.x, 0) / members.length;
+                center.y = members.reduce((sum, p) => sum + p.y, 0) / members.length;
+            });
+        }
 
-        const baseIdx = 0;
-        let totalDist = this.distanceMatrix[baseIdx][route[0]];
+        // Biggest clusters first, each to the free drone whose depot is closest
+        const clusters = centers.map((center, c) => ({
+            center,
+            members: zoneIndices.filter((idx, i) => labels[i] === c)
+        }));
+        clusters.sort((a, b) =>
+            b.members.reduce((sum, idx) => sum + optimizer.zones[idx].remaining, 0) -
+            a.members.reduce((sum, idx) => sum + optimizer.zones[idx].remaining, 0));
 
-        for (let i = 0; i < route.length - 1; i++) {
-            totalDist += this.distanceMatrix[route[i]][route[i + 1]];
+        const free = [...drones];
+        for (const cluster of clusters) {
+            let bestDrone = free[0];
+            for (const drone of free) {
+                if (dist2(point(drone.location), cluster.center) < dist2(point(bestDrone.location), cluster.center)) {
+                    bestDrone = drone;
+                }
+            }
+            free.splice(free.indexOf(bestDrone), 1);
+            cluster.members.forEach(idx => preferred.get(bestDrone).add(idx));
         }
 
-        totalDist += this.distanceMatrix[route[route.length - 1]][baseIdx];
-        return totalDist;
+        return preferred;
     }
+}
 
-    /**
-     * Main optimization algorithm
-     * Complexity: O(k × n²)
-     */
-    optimize() {
-        const startTime = performance.now();
+/**
+ * k-d tree over points ({ idx, lat, lng }) on a flat projection in km
+ * around an origin, for the points nearest a position. Building takes
+ * O(n log² n); a query for the k nearest O(k log n) on average, plus the
+ * points accept() turns down on the way.
+ */
+class SpatialIndex {
+    constructor(origin, points) {
+        this.origin = origin;
+        this.kmPerDegLat = 111.32;
+        this.kmPerDegLng = 111.32 * Math.cos(origin.lat * Math.PI / 180);
+        this.root = this.build(points.map(point => ({ idx: point.idx, ...this.project(point) })), 0);
+    }
 
-        // Step 1: Build distance matrix - O(n²)
-        this.buildDistanceMatrix();
+    project(position) {
+        return {
+            x: (position.lng - this.origin.lng) * this.kmPerDegLng,
+            y: (position.lat - this.origin.lat) * this.kmPerDegLat
+        };
+    }
 
-        // Step 2: Sort zones by priority - O(n log n)
-        this.sortZonesByPriority();
+    build(points, depth) {
+        if (points.length === 0) return null;
+
+        const axis = depth % 2 === 0 ? 'x' : 'y';
+        points.sort((a, b) => a[axis] - b[axis]);
+        const middle = points.length >> 1;
+        return {
+            point: points[middle],
+            axis,
+            left: this.build(points.slice(0, middle), depth + 1),
+            right: this.build(points.slice(middle + 1), depth + 1)
+        };
+    }
 
-        // Step 3: Initialize
-        this.zones.forEach(zone => zone.served = false);
-        this.zones[0].served = true; // Base is always "served"
+    /**
+     * idx of the k points nearest a position ({ lat, lng }) that accept(idx)
+     * lets through, nearest first
+     */
+    nearest(position, k, accept = () => true) {
+        const target = this.project(position);
+        const found = []; // { idx, d2 } by squared distance, at most k
+        const worst = () => found.length < k ? Infinity : found[found.length - 1].d2;
 
-        const zoneAssigned = new Array(this.zones.length).fill(false);
-        zoneAssigned[0] = true; // Base
+        const visit = node => {
+            if (node === null) return;
 
-        // Step 4: Assign routes to drones - O(k × n²)
-        for (const drone of this.drones) {
-            // Get available unserved zones within capacity
-            const availableZones = [];
+            const { point, axis } = node;
+            const offset = target[axis] - point[axis];
+            visit(offset < 0 ? node.left : node.right);
 
-            for (let i = 1; i < this.zones.length; i++) {
-                if (!zoneAssigned[i] && this.zones[i].demand <= drone.payloadCapacity) {
-                    availableZones.push(i);
-                }
+            const d2 = (point.x - target.x) ** 2 + (point.y - target.y) ** 2;
+            if (d2 < worst() && accept(point.idx)) {
+                let at = found.length;
+                while (at > 0 && found[at - 1].d2 > d2) at--;
+                found.splice(at, 0, { idx: point.idx, d2 });
+                if (found.length > k) found.pop();
             }
 
-            if (availableZones.length === 0) continue;
+            // The other side only if it can hold something nearer
+            if (offset * offset < worst()) visit(offset < 0 ? node.right : node.left);
+        };
+        visit(this.root);
 
-            // Build route using Nearest Neighbor - O(n²)
-            let route = this.nearestNeighborTSP(availableZones, drone);
+        return found.map(entry => entry.idx);
+    }
+}
 
-            // Optimize route with 2-Opt - O(n²)
-            if (route.length > 1) {
-                route = this.twoOptOptimize(route, drone.batteryCapacity);
-            }
+/**
+ * Seeded random numbers in [0, 1) (mulberry32): the same seed always gives
+ * the same sequence, so a generated instance can be rebuilt from its seed
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
 
-            // Assign route to drone
-            drone.route = route;
-            drone.totalDistance = this.calculateRouteDistance(route);
+/**
+ * Reproducible relief zones around a base, laid out in true km. Positions
+ * follow a layout: a uniform 'disk', settlement 'clustered' around a few
+ * centres, or a road 'corridor' through the base. Demand is 'uniform' or
+ * 'heavyTailed' (Pareto: most zones need little, a few need a lot), and
+ * priorities are drawn from a [critical, moderate, low] weight mix.
+ */
+class ZoneGenerator {
+    constructor(seed) {
+        this.seed = seed;
+        this.random = seededRandom(seed);
+    }
 
-            // Mark zones as assigned and calculate delivered supplies
-            drone.totalDelivered = 0;
-            for (const zoneIdx of route) {
-                if (zoneIdx !== 0 && !zoneAssigned[zoneIdx]) {
-                    zoneAssigned[zoneIdx] = true;
-                    this.zones[zoneIdx].served = true;
-                    drone.totalDelivered += this.zones[zoneIdx].demand;
-                }
-            }
+    generate(base, count, {
+        layout = 'disk',
+        radiusKm = 20,
+        clusters = 4,
+        corridorWidthKm = 3,
+        demand = 'uniform',
+        minDemand = 20,
+        maxDemand = 60,
+        tailShape = 1.2,
+        priorityMix = [3, 4, 3]
+    } = {}) {
+        if (!(minDemand >= 1 && maxDemand >= minDemand)) {
+            throw new Error('Demand range needs 1 ≤ min ≤ max');
+        }
+        if (priorityMix.length !== 3 || priorityMix.some(weight => !(weight >= 0)) || priorityMix.every(weight => weight === 0)) {
+            throw new Error('Priority mix needs three non-negative weights, not all zero');
         }
 
-        const endTime = performance.now();
-        this.executionTime = endTime - startTime;
+        let positions;
+        if (layout === 'disk') positions = this.diskPositions(count, radiusKm);
+        else if (layout === 'clustered') positions = this.clusteredPositions(count, radiusKm, clusters);
+        else if (layout === 'corridor') positions = this.corridorPositions(count, radiusKm, corridorWidthKm);
+        else throw new Error(`Unknown layout "${layout}"`);
 
-        return this.getResults();
+        return positions.map(({ east, north }) => {
+            const priority = this.pick(priorityMix) + 1;
+            const units = demand === 'heavyTailed'
+                ? this.paretoDemand(minDemand, maxDemand, tailShape)
+                : minDemand + Math.floor(this.random() * (maxDemand - minDemand + 1));
+            // Small offsets: a flat km grid around the base is accurate enough
+            const lat = base.lat + north / 111.32;
+            const lng = base.lng + east / (111.32 * Math.cos(base.lat * Math.PI / 180));
+            return new Zone(0, priority, units, lat, lng);
+        });
     }
 
     /**
-     * Get optimization results
+     * Uniform over the disk's area (not its radius, which crowds the centre)
      */
-    getResults() {
-        const totalDistance = this.drones.reduce((sum, drone) => sum + drone.totalDistance, 0);
-        const zonesServed = this.zones.filter(z => z.served && z.id !== 0).length;
-        const totalZones = this.zones.length - 1; // Exclude base
+    diskPositions(count, radiusKm) {
+        return Array.from({ length: count }, () => this.polar(radiusKm * Math.sqrt(this.random()), 2 * Math.PI * this.random()));
+    }
 
-        // Count by priority
-        const criticalServed = this.zones.filter(z => z.served && z.priority === 1).length;
-        const moderateServed = this.zones.filter(z => z.served && z.priority === 2).length;
-        const lowServed = this.zones.filter(z => z.served && z.priority === 3).length;
+    /**
+     * Settlements of different sizes scattered over the disk, zones spread
+     * normally around them
+     */
+    clusteredPositions(count, radiusKm, clusters) {
+        const centres = Array.from({ length: Math.max(1, clusters) }, () => ({
+            ...this.polar(0.75 * radiusKm * Math.sqrt(this.random()), 2 * Math.PI * this.random()),
+            size: 0.5 + this.random()
+        }));
+        const spread = 0.1 * radiusKm;
 
-        const totalCritical = this.zones.filter(z => z.priority === 1 && z.id !== 0).length;
-        const totalModerate = this.zones.filter(z => z.priority === 2 && z.id !== 0).length;
-        const totalLow = this.zones.filter(z => z.priority === 3 && z.id !== 0).length;
+        return Array.from({ length: count }, () => {
+            const centre = centres[this.pick(centres.map(c => c.size))];
+            return { east: centre.east + spread * this.gaussian(), north: centre.north + spread * this.gaussian() };
+        });
+    }
 
-        // Calculate average battery usage
-        const avgBatteryUsage = this.drones.reduce((sum, drone) => {
-            return sum + (drone.totalDistance / drone.batteryCapacity * 100);
-        }, 0) / this.drones.length;
+    /**
+     * Zones strung along a gently bending road through the base, within
+     * about half the corridor width of it
+     */
+    corridorPositions(count, radiusKm, corridorWidthKm) {
+        const heading = 2 * Math.PI * this.random();
+        const bend = 0.1 * radiusKm;
 
-        return {
-            drones: this.drones.map(drone => ({
-                id: drone.id,
-                route: drone.route.map(idx => this.zones[idx]),
+        return Array.from({ length: count }, () => {
+            const along = radiusKm * (2 * this.random() - 1);
+            const across = bend * Math.sin(Math.PI * along / radiusKm) + corridorWidthKm / 2 * this.gaussian();
+            return {
+                east: along * Math.cos(heading) - across * Math.sin(heading),
+                north: along * Math.sin(heading) + across * Math.cos(heading)
+            };
+        });
+    }
+
+    /**
+     * Pareto demand from minDemand, cut off at maxDemand
+     */
+    paretoDemand(minDemand, maxDemand, shape) {
+        const units = minDemand / Math.pow(1 - this.random(), 1 / shape);
+        return Math.min(maxDemand, Math.floor(units));
+    }
+
+    /**
+     * Index drawn in proportion to the weights
+     */
+    pick(weights) {
+        let draw = this.random() * weights.reduce((sum, weight) => sum + weight, 0);
+        for (let i = 0; i < weights.length; i++) {
+            draw -= weights[i];
+            if (draw < 0) return i;
+        }
+        return weights.length - 1;
+    }
+
+    /**
+     * Standard normal draw (Box-Muller)
+     */
+    gaussian() {
+        return Math.sqrt(-2 * Math.log(1 - this.random())) * Math.cos(2 * Math.PI * this.random());
+    }
+
+    /**
+     * Offset in km east and north of a point at a distance and angle
+     */
+    polar(distanceKm, angle) {
+        return { east: distanceKm * Math.cos(angle), north: distanceKm * Math.sin(angle) };
+    }
+}
+
+// Millisecond clock for run times: performance.now() in browsers and recent
+// Node, process.hrtime elsewhere, so the optimizer also runs headless
+const clockMs = typeof performance !== 'undefined'
+    ? () => performance.now()
+    : () => Number(process.hrtime.bigint()) / 1e6;
+
+// Scenario files: format tag and the newest version this code reads
+const SCENARIO_FORMAT = 'drone-relief-scenario';
+const SCENARIO_VERSION = 1;
+
+// What solveExact adds to the summary; a saved exact plan carries them (see importPlan)
+const EXACT_SUMMARY_FIELDS = ['strategy', 'optimalCost', 'heuristicCost', 'optimalityGap'];
+
+class DroneDeliveryOptimizer {
+    constructor() {
+        this.zones = [];
+        this.drones = [];
+        this.distanceMatrix = [];
+        this.legWaypoints = []; // legWaypoints[i][j]: detour points between zones i and j
+        this.largeInstance = false; // Set by prepareZones: distances on demand instead of the matrix
+        this.spatialIndex = []; // Large-instance mode: a SpatialIndex of the relief zones of each priority
+        this.detourGraph = null; // Large-instance mode: no-fly detour graph for legs measured on demand
+        this.legCache = new Map(); // Large-instance mode: detoured legs measured so far (i × n + j -> leg)
+        this.noFlyZones = [];
+        this.energyModel = new LinearEnergyModel();
+        this.baseLocation = null;
+        this.executionTime = 0;
+        this.nextZoneId = 1; // Relief zone ids are never handed out twice (see addZone)
+        this.confirmedDrops = new Map(); // Zone -> units already dropped before a re-plan
+        this.confirmedLoads = new Map(); // Depot -> units already loaded before a re-plan
+        this.random = Math.random; // Swap in a seeded generator for repeatable runs
+        this.onProgress = null; // Called during a run with { phase, fraction, plan } (see reportProgress)
+        this.lastProgress = -Infinity;
+        this.convergence = []; // Best plan cost per improvement iteration
+        this.initialCost = 0; // Plan cost before the improvement stage
+        this.strategies = new Map();
+        [new NearestNeighborStrategy(), new SavingsStrategy(), new SweepStrategy(), new KMeansStrategy()]
+            .forEach(strategy => this.registerStrategy(strategy));
+        this.resetSettings();
+    }
+
+    /**
+     * Put every setting back to its default
+     */
+    resetSettings() {
+        this.settings = {
+            maxSorties: 3,              // Sorties per drone
+            missionHorizon: Infinity,   // Minutes available for the whole mission
+            reloadTime: 10,             // Minutes to reload payload at base between sorties
+            rechargeBetweenSorties: true,
+            rechargeTime: 20,           // Extra minutes at base when recharging
+            splitDeliveries: true,      // Allow a zone's demand to be split across sorties
+            affinityPenalty: 2,         // Distance multiplier for zones better suited to another drone
+            hardTimeWindows: true,      // Never arrive after a zone's latest time (else penalise lateness)
+            latenessWeight: 2,          // Soft windows: a minute late costs as much as this many minutes of flight
+            openRoutes: false,          // Let a drone finish a sortie at the depot nearest its last stop
+            maxRechargeStops: 2,        // Charging station stops allowed per sortie
+            strategy: 'nearestNeighbor', // Name of the registered solver strategy to use
+            improvementTime: 0,         // ms of simulated annealing after construction (0 = off)
+            improvementIterations: 20000, // Move budget of the improvement stage
+            priorityWeights: [3, 2, 1], // Objective weight of a critical, moderate and low zone
+            unitValue: 100,             // Score of a delivered unit (× priority weight)
+            distanceCost: 1,            // Score lost per km flown (soft-window lateness counts as flight)
+            unservedZonePenalty: 0,     // Score lost per zone left with nothing delivered (× priority weight)
+            minServedFraction: 0,       // Every zone gets this share of its demand before any gets more (needs splitting)
+            balanceMode: 'none',        // Balance drones: 'none', 'minMax' (shortest longest route) or 'workload' (even units)
+            balanceWeight: 1,           // Score lost per km of the longest route (minMax) or unit of spread (workload)
+            exactMaxZones: 12,          // Largest instance the exact solver accepts
+            largeInstanceZones: 500,    // From this many relief zones: spatial index and distances on demand (Infinity = never)
+            candidateCount: 8           // Large-instance mode: nearest zones of each priority weighed per step
+        };
+    }
+
+    /**
+     * Make a solver strategy available by its name
+     */
+    registerStrategy(strategy) {
+        this.strategies.set(strategy.name, strategy);
+    }
+
+    /**
+     * Strategy selected in the settings
+     */
+    currentStrategy() {
+        const strategy = this.strategies.get(this.settings.strategy);
+        if (!strategy) {
+            throw new Error(`Unknown solver strategy: ${this.settings.strategy}`);
+        }
+        return strategy;
+    }
+
+    /**
+     * Update optimizer settings (unknown keys are ignored)
+     */
+    configure(settings) {
+        for (const key of Object.keys(this.settings)) {
+            if (settings[key] !== undefined) {
+                this.settings[key] = settings[key];
+            }
+        }
+    }
+
+    /**
+     * Set the base location for drones
+     */
+    setBase(lat, lng, stock = Infinity) {
+        this.baseLocation = { lat, lng, id: 0 };
+        // Insert base at index 0
+        this.zones = [
+            new Depot(0, lat, lng, 'Main Base', stock),
+            ...this.zones.filter(z => z.id !== 0)
+        ];
+    }
+
+    /**
+     * Add a forward operating base
+     */
+    addDepot(lat, lng, name, stock = Infinity) {
+        const id = Math.min(0, ...this.getDepots().map(d => d.id)) - 1;
+        const depot = new Depot(id, lat, lng, name, stock);
+        this.zones.push(depot);
+        return depot;
+    }
+
+    /**
+     * Remove a forward base; its drones move back to the main base
+     */
+    removeDepot(id) {
+        if (id === 0) return;
+
+        this.zones = this.zones.filter(z => !(z.isDepot && z.id === id));
+        this.drones.forEach(drone => {
+            if (drone.depotId === id) drone.depotId = 0;
+        });
+        this.discardPlan();
+    }
+
+    getDepots() {
+        return this.zones.filter(z => z.isDepot);
+    }
+
+    /**
+     * Add a charging / battery-swap station (ids S1, S2, ...)
+     */
+    addStation(lat, lng, serviceTime, name) {
+        const station = new ChargingStation(`S${this.getStations().length + 1}`, lat, lng, serviceTime, name);
+        this.zones.push(station);
+        return station;
+    }
+
+    clearStations() {
+        this.zones = this.zones.filter(z => !z.isStation);
+        // Sortie routes are indices into zones, so the plan no longer lines up
+        this.discardPlan();
+    }
+
+    getStations() {
+        return this.zones.filter(z => z.isStation);
+    }
+
+    /**
+     * Add a relief zone under the next id. Ids of removed zones are not
+     * reused, so a zone put back with restoreZone finds its id free.
+     */
+    addZone(zone) {
+        zone.id = this.nextZoneId++;
+        this.zones.push(zone);
+    }
+
+    /**
+     * Remove every relief zone; ids start from 1 again
+     */
+    clearZones() {
+        this.zones = this.zones.filter(z => !z.isReliefZone);
+        this.nextZoneId = 1;
+        this.discardPlan();
+    }
+
+    /**
+     * The relief zone with this id, or null
+     */
+    getZone(id) {
+        return this.zones.find(z => z.isReliefZone && z.id === id) || null;
+    }
+
+    /**
+     * Change a relief zone in place ({ lat, lng, priority, demand, earliest,
+     * latest, serviceTime, name }, any of them). Its id stays, so whatever
+     * refers to it still does. Throws when the zone is unknown or the result
+     * does not validate (see zoneProblems).
+     */
+    updateZone(id, changes) {
+        const zone = this.getZone(id);
+        if (!zone) throw new Error(`No relief zone ${id}`);
+
+        const description = {
+            name: zone.name, lat: zone.lat, lng: zone.lng, priority: zone.priority, demand: zone.demand,
+            earliest: zone.earliest, latest: zone.latest, serviceTime: zone.serviceTime, ...changes
+        };
+        if (description.latest === Infinity) description.latest = null;
+
+        const problems = this.zoneProblems(description, zone.label);
+        if (problems.length > 0) throw new Error(problems.join('; '));
+
+        const updated = this.zoneFromDescription(description);
+        ['name', 'lat', 'lng', 'priority', 'demand', 'earliest', 'latest', 'serviceTime'].forEach(key => {
+            zone[key] = updated[key];
+        });
+        return zone;
+    }
+
+    /**
+     * Take a relief zone out; returns it so restoreZone can put it back.
+     * Positions in zones shift, so any plan is stale (see discardPlan).
+     */
+    removeZone(id) {
+        const zone = this.getZone(id);
+        if (!zone) throw new Error(`No relief zone ${id}`);
+
+        this.zones = this.zones.filter(z => z !== zone);
+        this.discardPlan();
+        return zone;
+    }
+
+    /**
+     * Put back a zone taken out with removeZone, under its old id and with
+     * nothing delivered
+     */
+    restoreZone(zone) {
+        if (this.getZone(zone.id)) throw new Error(`Zone id ${zone.id} is already taken`);
+
+        zone.delivered = 0;
+        this.zones.push(zone);
+    }
+
+    /**
+     * Add a drone to the fleet
+     */
+    addDrone(drone) {
+        this.drones.push(drone);
+    }
+
+    /**
+     * Add a no-fly polygon (at least three points)
+     */
+    addNoFlyZone(points, name) {
+        if (points.length < 3) {
+            throw new Error('A no-fly zone needs at least three points');
+        }
+
+        const noFlyZone = new NoFlyZone(this.noFlyZones.length + 1, points, name);
+        this.noFlyZones.push(noFlyZone);
+        return noFlyZone;
+    }
+
+    /**
+     * Remove all no-fly polygons
+     */
+    clearNoFlyZones() {
+        this.noFlyZones = [];
+    }
+
+    /**
+     * Calculate Haversine distance between two coordinates (in km)
+     */
+    calculateDistance(lat1, lng1, lat2, lng2) {
+        const R = 6371; // Earth's radius in km
+        const dLat = this.toRad(lat2 - lat1);
+        const dLng = this.toRad(lng2 - lng1);
+
+        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(this.toRad(lat1)) * Math.cos(this.toRad(lat2)) *
+            Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+        return R * c;
+    }
+
+    toRad(degrees) {
+        return degrees * (Math.PI / 180);
+    }
+
+    /**
+     * Build distance matrix for all zones
+     * Legs crossing a no-fly zone use the shortest detour around it
+     * Complexity: O(n²) without no-fly zones, O(n² × V log V) with V polygon vertices
+     */
+    buildDistanceMatrix() {
+        const n = this.zones.length;
+        this.distanceMatrix = Array(n).fill(null).map(() => Array(n).fill(0));
+        this.legWaypoints = Array(n).fill(null).map(() => Array(n).fill(null));
+
+        const detours = this.noFlyZones.length > 0 ? this.buildDetourGraph() : null;
+
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const { distance, waypoints } = this.measureLeg(detours, i, j);
+
+                // Detours are symmetric, so fill both triangles at once
+                this.distanceMatrix[i][j] = distance;
+                this.distanceMatrix[j][i] = distance;
+                this.legWaypoints[i][j] = waypoints;
+                this.legWaypoints[j][i] = [...waypoints].reverse();
+            }
+        }
+    }
+
+    /**
+     * Length of the leg between zones i and j, and the points of its detour
+     * around the no-fly zones ([] when it flies straight)
+     */
+    measureLeg(detours, i, j) {
+        const from = this.zones[i];
+        const to = this.zones[j];
+        if (detours && this.isSegmentBlocked(detours.project(from), detours.project(to))) {
+            return this.shortestDetour(detours, from, to);
+        }
+        return { distance: this.calculateDistance(from.lat, from.lng, to.lat, to.lng), waypoints: [] };
+    }
+
+    /**
+     * Large-instance mode, for city-scale scenarios where the n × n matrix
+     * (and the leg detours kept beside it) is too big to build: relief zones
+     * go into a spatial index per priority and distances are worked out when
+     * asked for. Legs with a detour are kept once found, as that search is slow.
+     * Complexity: O(n log² n), memory O(n) plus the detoured legs flown
+     */
+    buildSpatialIndex() {
+        this.distanceMatrix = [];
+        this.legWaypoints = [];
+        this.legCache = new Map();
+        this.detourGraph = this.noFlyZones.length > 0 ? this.buildDetourGraph() : null;
+
+        const points = priority => this.zones.flatMap((zone, idx) =>
+            zone.isReliefZone && zone.priority === priority ? [{ idx, lat: zone.lat, lng: zone.lng }] : []);
+        this.spatialIndex = [1, 2, 3].map(priority => new SpatialIndex(this.zones[0], points(priority)));
+    }
+
+    /**
+     * Flight distance (km) between zones i and j, detours included: from the
+     * matrix, or measured on demand in large-instance mode
+     */
+    distanceBetween(i, j) {
+        if (!this.largeInstance) return this.distanceMatrix[i][j];
+        if (this.detourGraph === null) {
+            const from = this.zones[i];
+            const to = this.zones[j];
+            return this.calculateDistance(from.lat, from.lng, to.lat, to.lng);
+        }
+        return this.cachedLeg(i, j).distance;
+    }
+
+    /**
+     * Detour points on the leg between zones i and j ([] when it flies straight)
+     */
+    waypointsBetween(i, j) {
+        if (!this.largeInstance) return (this.legWaypoints[i] || [])[j] || [];
+        return this.detourGraph === null ? [] : this.cachedLeg(i, j).waypoints;
+    }
+
+    /**
+     * A leg measured around the no-fly zones once, then kept both ways round
+     */
+    cachedLeg(i, j) {
+        const n = this.zones.length;
+        let leg = this.legCache.get(i * n + j);
+        if (!leg) {
+            leg = i === j ? { distance: 0, waypoints: [] } : this.measureLeg(this.detourGraph, i, j);
+            this.legCache.set(i * n + j, leg);
+            this.legCache.set(j * n + i, { distance: leg.distance, waypoints: [...leg.waypoints].reverse() });
+        }
+        return leg;
+    }
+
+    /**
+     * Large-instance candidate list: the count zones of each priority nearest
+     * to a zone that accept() lets through, so a critical zone a little
+     * farther off still competes with the low-priority zone next door
+     */
+    candidateZones(from, accept, count = this.settings.candidateCount) {
+        const position = this.zones[from];
+        return this.spatialIndex.flatMap(index => index.nearest(position, count, accept));
+    }
+
+    /**
+     * Visibility graph over the (slightly inflated) no-fly polygon corners.
+     * Geometry is done on a local equirectangular projection around the base.
+     */
+    buildDetourGraph() {
+        const origin = this.zones[0] || this.noFlyZones[0].points[0];
+        const kmPerDegLat = 111.32;
+        const kmPerDegLng = 111.32 * Math.cos(this.toRad(origin.lat));
+        const project = p => ({ x: (p.lng - origin.lng) * kmPerDegLng, y: (p.lat - origin.lat) * kmPerDegLat });
+        const unproject = p => ({ lat: origin.lat + p.y / kmPerDegLat, lng: origin.lng + p.x / kmPerDegLng });
+
+        this.noFlyPolygons = this.noFlyZones.map(nfz => nfz.points.map(project));
+
+        // Push every corner 50 m outwards so paths can hug the boundary
+        // without touching the polygon itself
+        const margin = 0.05;
+        const corners = [];
+        for (const polygon of this.noFlyPolygons) {
+            const orientation = this.signedArea(polygon) > 0 ? 1 : -1;
+            polygon.forEach((p, k) => {
+                const prev = polygon[(k - 1 + polygon.length) % polygon.length];
+                const next = polygon[(k + 1) % polygon.length];
+                const n1 = this.outwardNormal(prev, p, orientation);
+                const n2 = this.outwardNormal(p, next, orientation);
+                const nx = n1.x + n2.x;
+                const ny = n1.y + n2.y;
+                const len = Math.hypot(nx, ny) || 1;
+                const corner = { x: p.x + nx / len * margin, y: p.y + ny / len * margin };
+
+                if (!this.noFlyPolygons.some(poly => this.pointInPolygon(corner, poly))) {
+                    corners.push(corner);
+                }
+            });
+        }
+
+        // Corner-to-corner visibility - O(V² × E)
+        const visible = corners.map(() => []);
+        for (let a = 0; a < corners.length; a++) {
+            for (let b = a + 1; b < corners.length; b++) {
+                if (!this.isSegmentBlocked(corners[a], corners[b])) {
+                    const d = Math.hypot(corners[a].x - corners[b].x, corners[a].y - corners[b].y);
+                    visible[a].push({ to: b, d });
+                    visible[b].push({ to: a, d });
+                }
+            }
+        }
+
+        return { project, unproject, corners, visible };
+    }
+
+    /**
+     * Dijkstra from one zone to another through the visibility graph
+     * Complexity: O(V²)
+     */
+    shortestDetour(graph, from, to) {
+        const start = graph.project(from);
+        const goal = graph.project(to);
+        const corners = graph.corners;
+        const V = corners.length;
+        const GOAL = V;
+
+        const dist = new Array(V + 1).fill(Infinity);
+        const prev = new Array(V + 1).fill(-1);
+        const done = new Array(V + 1).fill(false);
+
+        for (let c = 0; c < V; c++) {
+            if (!this.isSegmentBlocked(start, corners[c])) {
+                dist[c] = Math.hypot(start.x - corners[c].x, start.y - corners[c].y);
+            }
+        }
+
+        while (true) {
+            let u = -1;
+            for (let c = 0; c <= V; c++) {
+                if (!done[c] && dist[c] < Infinity && (u === -1 || dist[c] < dist[u])) u = c;
+            }
+            if (u === -1 || u === GOAL) break;
+            done[u] = true;
+
+            const relax = (v, d) => {
+                if (dist[u] + d < dist[v]) {
+                    dist[v] = dist[u] + d;
+                    prev[v] = u;
+                }
+            };
+
+            for (const edge of graph.visible[u]) relax(edge.to, edge.d);
+            if (!this.isSegmentBlocked(corners[u], goal)) {
+                relax(GOAL, Math.hypot(corners[u].x - goal.x, corners[u].y - goal.y));
+            }
+        }
+
+        // Unreachable (e.g. zone inside a no-fly zone)
+        if (dist[GOAL] === Infinity) return { distance: Infinity, waypoints: [] };
+
+        const waypoints = [];
+        for (let c = prev[GOAL]; c !== -1; c = prev[c]) {
+            waypoints.unshift(graph.unproject(corners[c]));
+        }
+
+        // Measure the detour with Haversine like every other leg
+        const points = [from, ...waypoints, to];
+        let distance = 0;
+        for (let k = 0; k < points.length - 1; k++) {
+            distance += this.calculateDistance(points[k].lat, points[k].lng, points[k + 1].lat, points[k + 1].lng);
+        }
+
+        return { distance, waypoints };
+    }
+
+    /**
+     * Whether a projected segment passes through any no-fly polygon
+     */
+    isSegmentBlocked(a, b) {
+        for (const polygon of this.noFlyPolygons) {
+            if (this.pointInPolygon(a, polygon) || this.pointInPolygon(b, polygon)) return true;
+            if (this.pointInPolygon({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }, polygon)) return true;
+
+            for (let k = 0; k < polygon.length; k++) {
+                if (this.segmentsCross(a, b, polygon[k], polygon[(k + 1) % polygon.length])) return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Proper intersection test for segments ab and cd
+     */
+    segmentsCross(a, b, c, d) {
+        const cross = (o, p, q) => (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x);
+        const d1 = cross(c, d, a);
+        const d2 = cross(c, d, b);
+        const d3 = cross(a, b, c);
+        const d4 = cross(a, b, d);
+        return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+            ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+    }
+
+    /**
+     * Ray-casting point-in-polygon test
+     */
+    pointInPolygon(p, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > p.y) !== (b.y > p.y) &&
+                p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    signedArea(polygon) {
+        let area = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            area += a.x * b.y - b.x * a.y;
+        }
+        return area / 2;
+    }
+
+    /**
+     * Unit normal of edge pq pointing away from the polygon interior
+     */
+    outwardNormal(p, q, orientation) {
+        const dx = q.x - p.x;
+        const dy = q.y - p.y;
+        const len = Math.hypot(dx, dy) || 1;
+        return { x: orientation * dy / len, y: -orientation * dx / len };
+    }
+
+    /**
+     * Expand a sequence of zone indices into map points, inserting the
+     * detour waypoints of every leg
+     */
+    expandPath(indices) {
+        const points = [];
+        indices.forEach((idx, k) => {
+            if (k > 0) {
+                const waypoints = this.waypointsBetween(indices[k - 1], idx);
+                waypoints.forEach(wp => points.push({ lat: wp.lat, lng: wp.lng, isWaypoint: true }));
+            }
+            points.push(this.zones[idx]);
+        });
+        return points;
+    }
+
+    /**
+     * Sort zones by priority (critical first)
+     * Complexity: O(n log n)
+     */
+    sortZonesByPriority() {
+        // Keep base at index 0, sort rest (forward depots have priority 0 and come first)
+        const base = this.zones[0];
+        const otherZones = this.zones.slice(1);
+
+        otherZones.sort((a, b) => {
+            if (a.priority !== b.priority) {
+                return a.priority - b.priority; // Lower priority number = higher importance
+            }
+            return b.demand - a.demand; // Higher demand first if same priority
+        });
+
+        this.zones = [base, ...otherZones];
+    }
+
+    /**
+     * Nearest Neighbor TSP on the objective: the next stop is the zone with
+     * the least flight cost per unit of value delivered (see deliveryValue).
+     * Returns the route and the units dropped per zone (a zone that does not
+     * fit the remaining payload gets a partial drop when splitting is enabled).
+     * Time spent waiting for a delivery window counts as extra distance, and
+     * zones whose window has closed are skipped (or penalised if windows are soft).
+     * Battery feasibility uses the payload-dependent energy model.
+     * In large-instance mode each step weighs only the nearest zones of each
+     * priority (see candidateZones) instead of every zone.
+     * Complexity: O(n² × L) for routes of L stops, O(K × L² × log n) in large-instance mode
+     */
+    nearestNeighborTSP(availableZones, drone, maxEnergy = drone.usableBattery, preferredZones = null, startTime = 0) {
+        const route = [];
+        const drops = new Map();
+        const visited = new Set();
+        const available = this.largeInstance ? new Set(availableZones) : null;
+        const baseIdx = drone.location;
+        let load = 0; // Units on board for the drops so far
+
+        // A load can't exceed what is left at the departure depot
+        const loadLimit = Math.min(drone.payloadCapacity, this.zones[baseIdx].stockLeft);
+
+        let current = baseIdx;
+        route.push(current);
+        visited.add(current);
+
+        let segmentDistance = 0; // Flown since the last charge
+        let segmentBudget = maxEnergy;
+        let rechargeStops = 0;
+        let currentTime = startTime;
+        const kmPerMinute = drone.cruiseSpeed / 60;
+
+        while (true) {
+            let nearest = null;
+            let minEffectiveDistance = Infinity;
+
+            // Reach a zone directly, or through a recharge stop while stops are left
+            const approaches = [null];
+            if (rechargeStops < this.settings.maxRechargeStops) {
+                approaches.push(...this.stationIndices.filter(idx => idx !== current));
+            }
+
+            // Check payload capacity
+            const freeLoad = loadLimit - load;
+
+            // Every zone, or in large-instance mode the nearest few of each priority
+            const candidates = this.largeInstance ?
+                this.candidateZones(current, idx => available.has(idx) && !visited.has(idx)) :
+                availableZones;
+
+            // Find the unvisited zone that is cheapest per unit of value
+            for (const zoneIdx of candidates) {
+                if (visited.has(zoneIdx)) continue;
+
+                const zone = this.zones[zoneIdx];
+
+                const fits = this.settings.splitDeliveries ?
+                    freeLoad > 0 :
+                    zone.remaining <= freeLoad;
+                if (!fits) continue;
+
+                const drop = Math.min(zone.remaining, freeLoad);
+                const value = this.deliveryValue(zone, drop);
+                if (value <= 0) continue; // Worth nothing to the objective
+
+                for (const station of approaches) {
+                    const via = station === null ? current : station;
+                    const toVia = station === null ? 0 : this.distanceBetween(current, station);
+                    const dist = toVia + this.distanceBetween(via, zoneIdx);
+
+                    // Check the delivery window and the mission horizon
+                    const leaveVia = station === null ? currentTime :
+                        currentTime + toVia / kmPerMinute + this.zones[station].serviceTime;
+                    const arrival = leaveVia + this.distanceBetween(via, zoneIdx) / kmPerMinute;
+                    const serviceStart = Math.max(arrival, zone.earliest);
+                    const lateness = Math.max(0, serviceStart - zone.latest);
+                    if (lateness > 0 && this.settings.hardTimeWindows) continue;
+
+                    const departure = serviceStart + zone.serviceTime;
+                    const returnIdx = this.returnDepot(zoneIdx, baseIdx);
+                    const backAtBase = departure + this.distanceBetween(zoneIdx, returnIdx) / kmPerMinute;
+                    if (backAtBase > this.settings.missionHorizon) continue;
+
+                    // Waiting and lateness count as extra flight distance
+                    const timeCost = ((serviceStart - arrival) + lateness * this.settings.latenessWeight) * kmPerMinute;
+
+                    // Flight cost per unit of value: higher-priority zones look closer
+                    let effectiveDist = this.settings.distanceCost * (dist + timeCost) / value;
+
+                    // Zones that suit another airframe better look farther away
+                    if (preferredZones && !preferredZones.has(zoneIdx)) {
+                        effectiveDist *= this.settings.affinityPenalty;
+                    }
+
+                    if (effectiveDist >= minEffectiveDistance) continue;
+
+                    // Cheap range check first: even flying empty the drone must get there
+                    const reachable = station === null ?
+                        this.legEnergy(drone, segmentDistance + dist, 0) <= segmentBudget :
+                        this.legEnergy(drone, segmentDistance + toVia, 0) <= segmentBudget &&
+                        this.legEnergy(drone, dist - toVia, 0) <= drone.usableBattery;
+                    if (!reachable) continue;
+
+                    // Check battery: the extra load is carried on every earlier leg
+                    // too, and the drone must still make it home (maybe via a station)
+                    const trial = station === null ? [...route, zoneIdx] : [...route, station, zoneIdx];
+                    drops.set(zoneIdx, drop);
+                    const stopsLeft = this.settings.maxRechargeStops - rechargeStops - (station === null ? 0 : 1);
+                    const tail = this.closingTail(trial, drops, drone, maxEnergy, stopsLeft);
+                    drops.delete(zoneIdx);
+
+                    if (tail === null) continue;
+
+                    minEffectiveDistance = effectiveDist;
+                    nearest = { zoneIdx, station, drop, departure, toVia };
+                }
+            }
+
+            if (nearest === null) break; // No feasible zone found
+
+            if (nearest.station !== null) {
+                route.push(nearest.station);
+                rechargeStops++;
+                segmentDistance = 0;
+                segmentBudget = drone.usableBattery;
+                current = nearest.station;
+            }
+
+            segmentDistance += this.distanceBetween(current, nearest.zoneIdx);
+            currentTime = nearest.departure;
+            route.push(nearest.zoneIdx);
+            drops.set(nearest.zoneIdx, nearest.drop);
+            load += nearest.drop;
+            visited.add(nearest.zoneIdx);
+            current = nearest.zoneIdx;
+        }
+
+        // Add the recharge stop needed to make it home, if any
+        const tail = this.closingTail(route, drops, drone, maxEnergy, this.settings.maxRechargeStops - rechargeStops);
+        if (tail) route.push(...tail);
+
+        return { route, drops };
+    }
+
+    /**
+     * How a route gets home: [] when the return leg fits on the current
+     * charge, [station] for the cheapest recharge stop that makes it fit,
+     * or null when it can't make it back at all
+     */
+    closingTail(route, drops, drone, maxEnergy, stopsLeft) {
+        if (this.energyFeasible(this.routeEnergy(route, drops, drone), maxEnergy, drone)) return [];
+        if (stopsLeft <= 0) return null;
+
+        const last = route[route.length - 1];
+        let best = null;
+        let bestDetour = Infinity;
+
+        for (const station of this.stationIndices) {
+            if (station === last) continue;
+
+            route.push(station);
+            const feasible = this.energyFeasible(this.routeEnergy(route, drops, drone), maxEnergy, drone);
+            const detour = this.distanceBetween(last, station) + this.distanceBetween(station, this.routeEnd(route));
+            route.pop();
+
+            if (feasible && detour < bestDetour) {
+                bestDetour = detour;
+                best = station;
+            }
+        }
+
+        return best === null ? null : [best];
+    }
+
+    /**
+     * Route and drops for visiting stops in the given order from the drone's
+     * depot (with a recharge stop on the way home if needed), or null when
+     * the load, battery, delivery windows or mission horizon rule it out.
+     * Only the last stop may get a partial drop.
+     * Complexity: O(L × m) for m stations
+     */
+    planStops(stops, drone, maxEnergy, startTime) {
+        const baseIdx = drone.location;
+        const loadLimit = Math.min(drone.payloadCapacity, this.zones[baseIdx].stockLeft);
+        const drops = new Map();
+        let load = 0;
+
+        for (let k = 0; k < stops.length; k++) {
+            const remaining = this.zones[stops[k]].remaining;
+            const free = loadLimit - load;
+            if (free <= 0) return null;
+            if (remaining > free && (!this.settings.splitDeliveries || k < stops.length - 1)) return null;
+
+            drops.set(stops[k], Math.min(remaining, free));
+            load += drops.get(stops[k]);
+        }
+
+        const route = [baseIdx, ...stops];
+        const tail = this.closingTail(route, drops, drone, maxEnergy, this.settings.maxRechargeStops);
+        if (tail === null) return null;
+        route.push(...tail);
+
+        const schedule = this.scheduleRoute(route, drone, startTime);
+        if (schedule.endTime > this.settings.missionHorizon) return null;
+        if (this.settings.hardTimeWindows && schedule.totalLateness > 0) return null;
+
+        return { route, drops };
+    }
+
+    /**
+     * Sortie taking zones in the given order, skipping any that no longer fit
+     * Complexity: O(n × L)
+     */
+    buildInOrder(order, drone, maxEnergy, startTime) {
+        const stops = [];
+        let plan = this.planStops(stops, drone, maxEnergy, startTime);
+
+        for (const zoneIdx of order) {
+            const trial = this.planStops([...stops, zoneIdx], drone, maxEnergy, startTime);
+            if (trial === null) continue;
+
+            stops.push(zoneIdx);
+            plan = trial;
+            if (trial.drops.get(zoneIdx) < this.zones[zoneIdx].remaining) break; // Payload full
+        }
+
+        return plan || { route: [drone.location], drops: new Map() };
+    }
+
+    /**
+     * Whether every stretch between charges fits the battery: the first on
+     * the charge the drone took off with, later ones on a fresh battery
+     */
+    energyFeasible(energy, maxEnergy, drone) {
+        return energy.segments[0] <= maxEnergy &&
+            energy.segments.slice(1).every(segment => segment <= drone.usableBattery);
+    }
+
+    /**
+     * 2-Opt optimization to improve route
+     * With a drone given, maxBudget is battery energy checked against the
+     * payload on board (drops), and a reversal must also keep the schedule
+     * within the delivery windows and mission horizon (lateness may not grow).
+     * Without a drone, maxBudget is plain route distance.
+     * Complexity: O(n² × iterations)
+     */
+    twoOptOptimize(route, maxBudget, drone = null, startTime = 0, drops = null) {
+        if (route.length < 4) return route;
+
+        let improved = true;
+        const baseIdx = 0;
+        let iterations = 0;
+        const maxIterations = 5;
+
+        while (improved && iterations < maxIterations) {
+            improved = false;
+            iterations++;
+
+            for (let i = 1; i < route.length - 2; i++) {
+                for (let j = i + 1; j < route.length - 1; j++) {
+                    // Calculate old distance
+                    const oldDist = this.distanceBetween(route[i - 1], route[i]) +
+                        this.distanceBetween(route[j], route[j + 1]);
+
+                    // Calculate new distance after swap
+                    const newDist = this.distanceBetween(route[i - 1], route[j]) +
+                        this.distanceBetween(route[i], route[j + 1]);
+
+                    if (newDist < oldDist) {
+                        // Create test route with reversed segment
+                        const testRoute = [...route];
+                        this.reverseSegment(testRoute, i, j);
+
+                        // Verify battery constraint
+                        const withinBudget = drone ?
+                            this.energyFeasible(this.routeEnergy(testRoute, drops, drone), maxBudget, drone) :
+                            this.calculateRouteDistance(testRoute) <= maxBudget;
+
+                        if (withinBudget &&
+                            (!drone || this.keepsSchedule(route, testRoute, drone, startTime))) {
+                            route = testRoute;
+                            improved = true;
+                        }
+                    }
+                }
+            }
+        }
+
+        return route;
+    }
+
+    /**
+     * Depot a sortie returns to after its last stop: the departure depot, or
+     * in open-route mode whichever depot is closest to the last stop. Sorties
+     * re-planned in flight go back to the depot the drone was heading for.
+     */
+    returnDepot(lastIdx, startIdx) {
+        if (this.settings.openRoutes) return this.closestDepot[lastIdx];
+
+        const start = this.zones[startIdx];
+        return start.isPosition ? this.depotIndex(start.returnDepotId) : startIdx;
+    }
+
+    /**
+     * Zone index of a depot by id (the main base if it no longer exists)
+     */
+    depotIndex(id) {
+        return Math.max(0, this.zones.findIndex(z => z.isDepot && z.id === id));
+    }
+
+    routeEnd(route) {
+        return this.returnDepot(route[route.length - 1], route[0]);
+    }
+
+    /**
+     * Closest depot to every zone (used by open routes)
+     * Complexity: O(n × m) for m depots
+     */
+    findClosestDepots() {
+        const depotIndices = [];
+        this.zones.forEach((zone, i) => {
+            if (zone.isDepot) depotIndices.push(i);
+        });
+
+        this.closestDepot = this.zones.map((zone, i) => depotIndices.reduce((best, d) =>
+            this.distanceBetween(i, d) < this.distanceBetween(i, best) ? d : best
+        ));
+    }
+
+    /**
+     * Battery drawn on one leg with the given payload on board
+     */
+    legEnergy(drone, distance, payload) {
+        const model = drone.energyModel || this.energyModel;
+        return distance * model.consumption(drone, payload);
+    }
+
+    /**
+     * Energy per leg of a route (including the return to base): the drone
+     * leaves fully loaded with every planned drop and gets lighter at each stop.
+     * Segments are the energy drawn between charges (split at stations).
+     * Complexity: O(L)
+     */
+    routeEnergy(route, drops, drone) {
+        let payload = 0;
+        for (const zoneIdx of route) {
+            payload += drops.get(zoneIdx) || 0;
+        }
+
+        const legs = [];
+        const segments = [0];
+        let total = 0;
+        const end = this.routeEnd(route);
+        for (let k = 0; k < route.length; k++) {
+            const from = route[k];
+            const to = k + 1 < route.length ? route[k + 1] : end;
+            payload -= k > 0 ? drops.get(from) || 0 : 0;
+
+            const distance = this.distanceBetween(from, to);
+            const energy = this.legEnergy(drone, distance, payload);
+            total += energy;
+            segments[segments.length - 1] += energy;
+            legs.push({ from, to, distance, payload, energy });
+
+            if (this.zones[to].isStation && k + 1 < route.length) segments.push(0);
+        }
+
+        return { total, legs, segments };
+    }
+
+    /**
+     * Whether a changed route is still on time: back before the horizon and
+     * no later at its stops than the route it replaces
+     */
+    keepsSchedule(oldRoute, newRoute, drone, startTime) {
+        const before = this.scheduleRoute(oldRoute, drone, startTime);
+        const after = this.scheduleRoute(newRoute, drone, startTime);
+
+        return after.endTime <= this.settings.missionHorizon &&
+            after.totalLateness <= before.totalLateness + 1e-9;
+    }
+
+    /**
+     * Arrival, waiting, service and lateness per stop of a route flown from
+     * the base at startTime (minutes)
+     * Complexity: O(n)
+     */
+    scheduleRoute(route, drone, startTime) {
+        const kmPerMinute = drone.cruiseSpeed / 60;
+        const stops = [];
+        let time = startTime;
+        let totalLateness = 0;
+
+        for (let k = 1; k < route.length; k++) {
+            const zone = this.zones[route[k]];
+            const arrival = time + this.distanceBetween(route[k - 1], route[k]) / kmPerMinute;
+            const serviceStart = Math.max(arrival, zone.earliest);
+            const lateness = Math.max(0, serviceStart - zone.latest);
+            const departure = serviceStart + zone.serviceTime;
+
+            stops.push({ zoneIdx: route[k], arrival, wait: serviceStart - arrival, serviceStart, departure, lateness });
+            totalLateness += lateness;
+            time = departure;
+        }
+
+        const endDepot = this.routeEnd(route);
+        const endTime = time + this.distanceBetween(route[route.length - 1], endDepot) / kmPerMinute;
+        return { startTime, endTime, endDepot, stops, totalLateness };
+    }
+
+    /**
+     * Reverse a segment of the route
+     */
+    reverseSegment(route, start, end) {
+        while (start < end) {
+            [route[start], route[end]] = [route[end], route[start]];
+            start++;
+            end--;
+        }
+    }
+
+    /**
+     * Calculate total distance of a route (routes start at their depot, the
+     * return leg to the end depot is implied)
+     */
+    calculateRouteDistance(route) {
+        if (route.length === 0) return 0;
+
+        let totalDist = 0;
+
+        for (let i = 0; i < route.length - 1; i++) {
+            totalDist += this.distanceBetween(route[i], route[i + 1]);
+        }
+
+        totalDist += this.distanceBetween(route[route.length - 1], this.routeEnd(route));
+        return totalDist;
+    }
+
+    /**
+     * Main optimization algorithm
+     * Complexity: O(s × k × n²)
+     */
+    optimize() {
+        const startTime = clockMs();
+
+        // Steps 1-3: Sort zones, build the distance matrix and start blank - O(n²)
+        this.resetPlan();
+
+        // Step 4: Fly sorties in rounds - O(s × k × n²)
+        this.flyRounds();
+        this.reportProgress('Building routes', 1, () => this.exportPlan(), true);
+
+        // Step 5: Improve the whole plan within the time budget
+        this.improvePlan();
+
+        const endTime = clockMs();
+        this.executionTime = endTime - startTime;
+
+        return this.getResults();
+    }
+
+    /**
+     * Forget the current plan, e.g. when the zones or base changed under it:
+     * no sorties, nothing delivered or confirmed, no re-plan positions
+     */
+    discardPlan() {
+        this.zones = this.zones.filter(z => !z.isPosition);
+        this.confirmedDrops.clear();
+        this.confirmedLoads.clear();
+
+        // Depots have no demand, so they are always "served"
+        this.zones.forEach(zone => zone.delivered = 0);
+        this.drones.forEach(drone => this.resetDrone(drone));
+        this.convergence = [];
+        this.initialCost = 0;
+    }
+
+    /**
+     * Start a fresh plan: forget earlier re-plans, sort the zones, build the
+     * distance matrix, refill the depots and put every drone back at home
+     * Complexity: O(n²)
+     */
+    resetPlan() {
+        this.discardPlan();
+        this.prepareZones();
+        this.getDepots().forEach(depot => depot.stockLeft = depot.stock);
+
+        this.drones.forEach(drone => {
+            drone.failed = false;
+            drone.sortiesFlown = 0;
+            drone.charge = drone.batteryCapacity;
+            drone.location = this.depotIndex(drone.depotId);
+        });
+    }
+
+    /**
+     * Tell onProgress how far a run is (fraction 0-1 of the phase), at most
+     * every 100 ms unless forced. makePlan builds the best plan so far (see
+     * exportPlan) and is only called when a report goes out.
+     * Returns whether one did.
+     */
+    reportProgress(phase, fraction, makePlan = null, force = false) {
+        if (!this.onProgress) return false;
+
+        const now = clockMs();
+        if (!force && now - this.lastProgress < 100) return false;
+        this.lastProgress = now;
+
+        this.onProgress({ phase, fraction: Math.min(1, fraction), plan: makePlan ? makePlan() : null });
+        return true;
+    }
+
+    /**
+     * The plan as plain data that can be copied to another thread: per drone
+     * its sorties as zone ids with the units dropped, and its flight path as
+     * [lat, lng] pairs for drawing, plus the run's figures. sortiesOf picks
+     * the sorties (anything with route, drops, startTime and endDepot).
+     */
+    exportPlan(sortiesOf = drone => drone.sorties) {
+        return {
+            drones: this.drones.map(drone => {
+                const sorties = sortiesOf(drone);
+                return {
+                    id: drone.id,
+                    sorties: sorties.map(sortie => ({
+                        route: sortie.route.map(idx => this.zones[idx].id),
+                        drops: sortie.drops.slice(),
+                        startTime: sortie.startTime
+                    })),
+                    path: this.expandPath(sorties.flatMap(sortie => [...sortie.route, sortie.endDepot]))
+                        .map(point => [point.lat, point.lng])
+                };
+            }),
+            convergence: this.convergence.slice(),
+            initialCost: this.initialCost,
+            executionTime: this.executionTime
+        };
+    }
+
+    /**
+     * Take over a plan exported by an optimizer holding the same scenario
+     * (e.g. the one in worker.js). Sorties are matched to this optimizer's
+     * zones by id and evaluated here, so the results and the plan check are
+     * this optimizer's own.
+     */
+    importPlan(plan) {
+        this.resetPlan();
+
+        const indices = new Map(this.zones.map((zone, idx) => [zone.id, idx]));
+        const index = id => {
+            if (!indices.has(id)) throw new Error(`The plan visits ${id}, which is not in this scenario`);
+            return indices.get(id);
+        };
+
+        plan.drones.forEach(entry => {
+            const drone = this.drones.find(d => d.id === entry.id);
+            if (!drone) throw new Error(`The plan has a drone ${entry.id}, which is not in this fleet`);
+            if (entry.sorties.length === 0) return;
+
+            const origin = { start: index(entry.sorties[0].route[0]), time: entry.sorties[0].startTime, charge: drone.batteryCapacity };
+            const sorties = entry.sorties.map(sortie => ({ stops: sortie.route.slice(1).map(index), units: sortie.drops.slice(1) }));
+            this.applySorties(drone, origin, this.evaluateSorties(drone, origin, sorties, false).built);
+        });
+
+        this.drones.forEach(drone => drone.sorties.forEach(sortie => {
+            sortie.route.forEach((idx, k) => this.zones[idx].delivered += sortie.drops[k]);
+            this.zones[sortie.route[0]].stockLeft -= sortie.delivered;
+        }));
+
+        this.convergence = plan.convergence;
+        this.initialCost = plan.initialCost;
+        this.executionTime = plan.executionTime;
+
+        const results = this.getResults();
+        Object.assign(results.summary, plan.summary || {});
+        return results;
+    }
+
+    /**
+     * Lower bound on the distance of any plan delivering what this plan
+     * delivers: the larger of the MST over the zones served (with every
+     * depot, or in-flight start, merged into one node) and the radial bound,
+     * where each trip carries at most the largest payload and flies at least
+     * out to its farthest zone and back. Both hold because distances
+     * (detours included) obey the triangle inequality.
+     * Complexity: O(n² + n × m) for m depots
+     */
+    distanceLowerBound() {
+        const units = new Map(); // Zone index -> units this plan drops there
+        this.drones.forEach(drone => drone.sorties.forEach(sortie => sortie.route.forEach((idx, k) => {
+            if (this.zones[idx].isReliefZone && sortie.drops[k] > 0) {
+                units.set(idx, (units.get(idx) || 0) + sortie.drops[k]);
+            }
+        })));
+        if (units.size === 0) return 0;
+
+        const hubs = [];
+        this.zones.forEach((zone, idx) => {
+            if (zone.isDepot || zone.isPosition) hubs.push(idx);
+        });
+        const served = [...units.keys()];
+        const hubDistance = served.map(i => Math.min(...hubs.map(h => this.distanceBetween(h, i))));
+
+        // Radial bound: trip length ≥ 2 × distance to its farthest zone
+        const maxPayload = Math.max(...this.drones.map(drone => drone.payloadCapacity));
+        const radial = served.reduce((sum, idx, i) => sum + 2 * units.get(idx) * hubDistance[i], 0) / maxPayload;
+
+        // Prim's MST, growing from the merged hub node
+        const link = hubDistance.slice();
+        const inTree = served.map(() => false);
+        let mst = 0;
+        for (let added = 0; added < served.length; added++) {
+            let next = -1;
+            for (let i = 0; i < served.length; i++) {
+                if (!inTree[i] && (next === -1 || link[i] < link[next])) next = i;
+            }
+            inTree[next] = true;
+            mst += link[next];
+            for (let i = 0; i < served.length; i++) {
+                if (!inTree[i]) link[i] = Math.min(link[i], this.distanceBetween(served[next], served[i]));
+            }
+        }
+
+        return Math.max(mst, radial);
+    }
+
+    /**
+     * Reasons the fleet provably cannot serve every critical zone: out of
+     * range even flying empty between depots and stations, a window that
+     * closes before the earliest possible arrival, no time to get there and
+     * back, or more critical demand than the fleet can lift or the depots hold
+     * Complexity: O(k × h² + k × n × h) for h depots and stations
+     */
+    criticalWarnings() {
+        const warnings = [];
+        const critical = [];
+        this.zones.forEach((zone, idx) => {
+            if (zone.isReliefZone && zone.priority === 1 && zone.demand > (this.confirmedDrops.get(zone) || 0)) {
+                critical.push(idx);
+            }
+        });
+        const drones = this.activeDrones();
+        if (critical.length === 0) return warnings;
+        if (drones.length === 0) return ['No drone is available'];
+
+        const hubs = [];
+        this.zones.forEach((zone, idx) => {
+            if (zone.isDepot || zone.isStation) hubs.push(idx);
+        });
+
+        // Depots and stations each grounded drone can get to, on empty legs
+        const reach = new Map();
+        for (const drone of drones) {
+            const home = drone.sorties.length > 0 ? drone.sorties[0].route[0] : drone.location;
+            if (this.zones[home].isPosition) continue; // In the air: no claim
+            const reached = new Set([home]);
+            const queue = [home];
+            while (queue.length > 0) {
+                const from = queue.shift();
+                for (const hub of hubs) {
+                    if (!reached.has(hub) && this.legEnergy(drone, this.distanceBetween(from, hub), 0) <= drone.usableBattery) {
+                        reached.add(hub);
+                        queue.push(hub);
+                    }
+                }
+            }
+            reach.set(drone, [...reached]);
+        }
+
+        const flying = drones.some(drone => !reach.has(drone));
+        for (const idx of critical) {
+            const zone = this.zones[idx];
+            if (flying) break;
+
+            // Out from the nearest reachable hub and back to it, flying empty
+            const inRange = drones.some(drone => reach.get(drone).some(hub =>
+                2 * this.legEnergy(drone, this.distanceBetween(hub, idx), 0) <= drone.usableBattery));
+            if (!inRange) {
+                warnings.push(`${zone.label} is out of range of every drone`);
+                continue;
+            }
+
+            const fastest = Math.min(...drones.map(drone => Math.min(...reach.get(drone).map(hub =>
+                this.distanceBetween(hub, idx) / (drone.cruiseSpeed / 60)))));
+            if (this.settings.hardTimeWindows && fastest > zone.latest) {
+                warnings.push(`${zone.label}'s window closes before any drone can get there`);
+            } else if (2 * fastest + zone.serviceTime > this.settings.missionHorizon) {
+                warnings.push(`${zone.label} can't be reached and left within the mission horizon`);
+            }
+        }
+
+        // Lift: every sortie still to fly full, plus what is already in the air
+        const demand = critical.reduce((sum, idx) =>
+            sum + this.zones[idx].demand - (this.confirmedDrops.get(this.zones[idx]) || 0), 0);
+        const onBoard = this.zones.filter(zone => zone.isPosition).reduce((sum, zone) => sum + zone.stock, 0);
+        const lift = drones.reduce((sum, drone) =>
+            sum + drone.payloadCapacity * Math.max(0, this.settings.maxSorties - drone.sortiesFlown), 0) + onBoard;
+        if (demand > lift) {
+            warnings.push(`Critical demand (${demand} units) exceeds what the fleet can lift (${lift} units)`);
+        }
+
+        const stock = this.getDepots().reduce((sum, depot) =>
+            sum + depot.stock - (this.confirmedLoads.get(depot) || 0), 0) + onBoard;
+        if (demand > stock) {
+            warnings.push(`Critical demand (${demand} units) exceeds the stock at the depots (${stock} units)`);
+        }
+
+        return warnings;
+    }
+
+    /**
+     * Objective weight of a zone's priority class
+     */
+    priorityWeight(zone) {
+        return this.settings.priorityWeights[zone.priority - 1] || 0;
+    }
+
+    /**
+     * Objective value of dropping units at a zone: their worth, plus the
+     * unserved-zone penalty avoided when it is the zone's first delivery
+     */
+    deliveryValue(zone, units) {
+        if (units <= 0) return 0;
+        const firstDrop = zone.delivered === 0 ? this.settings.unservedZonePenalty : 0;
+        return this.priorityWeight(zone) * (this.settings.unitValue * units + firstDrop);
+    }
+
+    /**
+     * Plan cost, the objective every solver minimises: flight (soft-window
+     * lateness included) at distanceCost per km, the worth of every
+     * undelivered unit, the penalty of every zone left with nothing and the
+     * imbalance between drones
+     */
+    planCost() {
+        let flight = 0;
+        this.drones.forEach(drone => drone.sorties.forEach(sortie => {
+            const lateness = sortie.stops.reduce((sum, stop) => sum + stop.lateness, 0);
+            flight += sortie.distance + lateness * this.settings.latenessWeight * drone.cruiseSpeed / 60;
+        }));
+        const workloads = this.activeDrones().map(drone => ({
+            distance: drone.sorties.reduce((sum, sortie) => sum + sortie.distance, 0),
+            units: drone.sorties.reduce((sum, sortie) => sum + sortie.delivered, 0)
+        }));
+
+        const unserved = this.zones.reduce((sum, zone) => {
+            if (!zone.isReliefZone || zone.remaining <= 0) return sum;
+            const penalty = zone.delivered === 0 ? this.settings.unservedZonePenalty : 0;
+            return sum + this.priorityWeight(zone) * (this.settings.unitValue * zone.remaining + penalty);
+        }, 0);
+
+        return this.settings.distanceCost * flight + unserved + this.settings.balanceWeight * this.imbalance(workloads);
+    }
+
+    /**
+     * Imbalance between drones charged by the objective: the longest total
+     * route in km (minMax) or the spread of units carried (workload), from
+     * one { distance, units } per drone; 0 when balancing is off
+     */
+    imbalance(workloads) {
+        if (workloads.length === 0) return 0;
+
+        if (this.settings.balanceMode === 'minMax') {
+            return Math.max(...workloads.map(workload => workload.distance));
+        }
+        if (this.settings.balanceMode === 'workload') {
+            const units = workloads.map(workload => workload.units);
+            return Math.max(...units) - Math.min(...units);
+        }
+        return 0;
+    }
+
+    /**
+     * Jain index (1 = perfectly even, 1/n = one gets everything) and Gini
+     * coefficient (0 = perfectly even) of a list of non-negative amounts
+     * Complexity: O(n log n)
+     */
+    fairnessIndices(values) {
+        const n = values.length;
+        const total = values.reduce((sum, value) => sum + value, 0);
+        if (n === 0 || total === 0) return { jain: 1, gini: 0 };
+
+        const squares = values.reduce((sum, value) => sum + value * value, 0);
+        const jain = total * total / (n * squares);
+
+        // Gini from the sorted values: Σ (2i - n + 1) x_i / (n Σ x)
+        const sorted = [...values].sort((a, b) => a - b);
+        const gini = sorted.reduce((sum, value, i) => sum + (2 * i - n + 1) * value, 0) / (n * total);
+
+        return { jain, gini };
+    }
+
+    /**
+     * Mission score: worth of the units delivered, less the flight cost and
+     * the unserved-zone penalties (the worth of all demand minus planCost)
+     */
+    missionScore() {
+        const worth = this.zones.reduce((sum, zone) =>
+            zone.isReliefZone ? sum + this.priorityWeight(zone) * this.settings.unitValue * zone.demand : sum, 0);
+        return worth - this.planCost();
+    }
+
+    /**
+     * Why the exact solver can't take this instance, or null if it can
+     */
+    exactUnsupportedReason() {
+        const reliefZones = this.zones.filter(zone => zone.isReliefZone && zone.demand > 0);
+        const largestPayload = Math.max(0, ...this.activeDrones().map(drone => drone.payloadCapacity));
+
+        if (this.activeDrones().length === 0) return 'no drones';
+        if (reliefZones.length > this.settings.exactMaxZones) {
+            return `${reliefZones.length} zones (at most ${this.settings.exactMaxZones})`;
+        }
+        if (reliefZones.some(zone => zone.demand > largestPayload)) return 'a zone needs split deliveries';
+        if (reliefZones.some(zone => zone.hasTimeWindow)) return 'delivery windows are not modelled';
+        if (this.getStations().length > 0) return 'charging stations are not modelled';
+        if (this.getDepots().some(depot => depot.stock < Infinity)) return 'limited depot stock is not modelled';
+        if (this.settings.openRoutes) return 'open routes are not modelled';
+        if (!this.settings.rechargeBetweenSorties) return 'drones must recharge between sorties';
+        if (this.settings.minServedFraction > 0) return 'a minimum served fraction is not modelled';
+        if (this.settings.balanceMode !== 'none') return 'drone balancing is not modelled';
+        return null;
+    }
+
+    /**
+     * Exact solver for small instances: the provably cheapest plan (see
+     * planCost) with whole deliveries, payload and battery limits, sorties
+     * per drone and the mission horizon. Every subset of zones gets its
+     * shortest battery-feasible trip per drone, subsets are split into at
+     * most maxSorties trips per drone, and zone sets are shared between
+     * drones, all by DP over subsets. The heuristic is run on the same
+     * model first so the results carry its optimality gap.
+     * Throws when the instance is outside the model (exactUnsupportedReason).
+     * Complexity: O(k × (2ⁿ × n² × P + s × 3ⁿ)) for P Pareto points per state
+     */
+    solveExact() {
+        const reason = this.exactUnsupportedReason();
+        if (reason) {
+            throw new Error(`Exact mode unavailable: ${reason}`);
+        }
+
+        // The heuristic on the same model, for the gap
+        const splitDeliveries = this.settings.splitDeliveries;
+        const onProgress = this.onProgress;
+        this.settings.splitDeliveries = false;
+        if (onProgress) {
+            this.onProgress = ({ phase, fraction }) => onProgress({ phase: `Heuristic for comparison: ${phase}`, fraction, plan: null });
+        }
+        try {
+            this.optimize();
+        } finally {
+            this.settings.splitDeliveries = splitDeliveries;
+            this.onProgress = onProgress;
+        }
+        const heuristicCost = this.planCost();
+
+        const startTime = clockMs();
+
+        // Start over from a blank plan (zones are sorted and the matrix built)
+        this.zones.forEach(zone => zone.delivered = 0);
+        this.drones.forEach(drone => {
+            this.resetDrone(drone);
+            drone.charge = drone.batteryCapacity;
+            drone.location = this.depotIndex(drone.depotId);
+        });
+        this.convergence = [];
+        this.initialCost = 0;
+
+        const zoneIndices = [];
+        this.zones.forEach((zone, idx) => {
+            if (zone.isReliefZone && zone.demand > 0) zoneIndices.push(idx);
+        });
+        const n = zoneIndices.length;
+        const full = (1 << n) - 1;
+
+        const load = new Float64Array(full + 1);
+        const service = new Float64Array(full + 1);
+        const value = new Float64Array(full + 1); // Objective value of serving the set
+        for (let mask = 1; mask <= full; mask++) {
+            const low = Math.log2(mask & -mask);
+            const zone = this.zones[zoneIndices[low]];
+            const rest = mask & (mask - 1);
+            load[mask] = load[rest] + zone.demand;
+            service[mask] = service[rest] + zone.serviceTime;
+            value[mask] = value[rest] + this.deliveryValue(zone, zone.demand);
+        }
+
+        // Zone sets each drone covers best, then the best split between drones
+        const drones = this.activeDrones();
+        const covers = drones.map((drone, d) => {
+            this.reportProgress('Exact search', d / drones.length, null, true);
+            return this.exactCover(drone, zoneIndices, load, service);
+        });
+
+        let best = new Float64Array(full + 1).fill(Infinity);
+        best[0] = 0;
+        const shares = [];
+        for (const cover of covers) {
+            const next = new Float64Array(full + 1).fill(Infinity);
+            const share = new Int32Array(full + 1);
+            for (let mask = 0; mask <= full; mask++) {
+                // Every subset of mask (including none) for this drone
+                for (let sub = mask; ; sub = (sub - 1) & mask) {
+                    const cost = best[mask ^ sub] + cover.cost[sub];
+                    if (cost < next[mask]) {
+                        next[mask] = cost;
+                        share[mask] = sub;
+                    }
+                    if (sub === 0) break;
+                }
+            }
+            best = next;
+            shares.push(share);
+        }
+
+        const { distanceCost } = this.settings;
+        let served = 0;
+        for (let mask = 0; mask <= full; mask++) {
+            if (distanceCost * best[mask] - value[mask] < distanceCost * best[served] - value[served]) served = mask;
+        }
+
+        // Fly the chosen trips
+        for (let d = drones.length - 1; d >= 0; d--) {
+            const sub = shares[d][served];
+            served ^= sub;
+
+            const drone = drones[d];
+            const sorties = covers[d].trips(sub).map(stops => ({
+                stops,
+                units: stops.map(idx => this.zones[idx].demand)
+            }));
+            const origin = { start: drone.location, time: 0, charge: drone.batteryCapacity };
+            const evaluation = this.evaluateSorties(drone, origin, sorties);
+            if (evaluation === null) {
+                throw new Error(`Exact plan for ${drone.name} failed re-evaluation`);
+            }
+
+            this.applySorties(drone, origin, evaluation.built);
+            sorties.forEach(sortie => sortie.stops.forEach(idx => this.zones[idx].delivered = this.zones[idx].demand));
+        }
+
+        const endTime = clockMs();
+        this.executionTime = endTime - startTime;
+
+        const optimalCost = this.planCost();
+        const results = this.getResults();
+        results.summary.strategy = 'Exact (subset DP)';
+        results.summary.optimalCost = optimalCost.toFixed(2);
+        results.summary.heuristicCost = heuristicCost.toFixed(2);
+        results.summary.optimalityGap = (optimalCost > 0 ? (heuristicCost - optimalCost) / optimalCost * 100 : 0).toFixed(2);
+        return results;
+    }
+
+    /**
+     * Cheapest way for one drone to cover each subset of zones: cost[mask]
+     * is the distance of at most maxSorties battery-feasible trips within the
+     * mission horizon (Infinity if impossible), trips(mask) their stop orders.
+     * Trips come from a reverse Held-Karp DP whose states keep the Pareto
+     * front of (distance, energy), since the energy of a leg depends on the
+     * payload still to be dropped.
+     * Complexity: O(2ⁿ × n² × P + s × 3ⁿ)
+     */
+    exactCover(drone, zoneIndices, load, service) {
+        const n = zoneIndices.length;
+        const full = (1 << n) - 1;
+        const home = drone.location;
+        const budget = drone.usableBattery - 1e-9;
+        const kmPerMinute = drone.cruiseSpeed / 60;
+
+        // front[rest * n + j]: ways to fly from zone j through every zone in rest and home,
+        // as { distance, energy, next, tail } sorted by distance with falling energy
+        const front = new Array((full + 1) * n);
+        for (let rest = 0; rest <= full; rest++) {
+            if (load[rest] > drone.payloadCapacity) continue;
+
+            for (let j = 0; j < n; j++) {
+                if (rest & (1 << j)) continue;
+                const from = zoneIndices[j];
+
+                const options = [];
+                if (rest === 0) {
+                    const distance = this.distanceBetween(from, home);
+                    options.push({ distance, energy: this.legEnergy(drone, distance, 0), next: -1, tail: null });
+                } else {
+                    for (let k = 0; k < n; k++) {
+                        if (!(rest & (1 << k))) continue;
+                        const leg = this.distanceBetween(from, zoneIndices[k]);
+                        const legEnergy = this.legEnergy(drone, leg, load[rest]);
+                        for (const tail of front[(rest ^ (1 << k)) * n + k] || []) {
+                            options.push({ distance: leg + tail.distance, energy: legEnergy + tail.energy, next: k, tail });
+                        }
+                    }
+                }
+
+                front[rest * n + j] = this.paretoFront(options, budget);
+            }
+        }
+
+        // Best single trip per subset: out from home with the whole load
+        const tripCost = new Float64Array(full + 1).fill(Infinity);
+        const tripPlan = new Array(full + 1);
+        tripCost[0] = 0;
+        for (let mask = 1; mask <= full; mask++) {
+            if (load[mask] > drone.payloadCapacity) continue;
+
+            for (let j = 0; j < n; j++) {
+                if (!(mask & (1 << j))) continue;
+                const leg = this.distanceBetween(home, zoneIndices[j]);
+                const legEnergy = this.legEnergy(drone, leg, load[mask]);
+                for (const tail of front[(mask ^ (1 << j)) * n + j] || []) {
+                    const distance = leg + tail.distance;
+                    if (legEnergy + tail.energy <= budget && distance < tripCost[mask]) {
+                        tripCost[mask] = distance;
+                        tripPlan[mask] = { first: j, tail };
+                    }
+                }
+            }
+        }
+
+        // Split each subset into t trips (t = 1..maxSorties) and keep the cheapest on time
+        const maxTrips = Math.min(this.settings.maxSorties, n);
+        const cost = new Float64Array(full + 1).fill(Infinity);
+        const tripsUsed = new Int32Array(full + 1);
+        const splits = [null, null];
+        let previous = tripCost;
+        for (let t = 1; t <= maxTrips; t++) {
+            let current = previous;
+            if (t > 1) {
+                current = new Float64Array(full + 1).fill(Infinity);
+                const split = new Int32Array(full + 1);
+                for (let mask = 1; mask <= full; mask++) {
+                    const low = mask & -mask;
+                    // The trip holding the lowest zone, the rest in t - 1 trips
+                    for (let sub = mask; sub > 0; sub = (sub - 1) & mask) {
+                        if (!(sub & low) || sub === mask) continue;
+                        const total = tripCost[sub] + previous[mask ^ sub];
+                        if (total < current[mask]) {
+                            current[mask] = total;
+                            split[mask] = sub;
+                        }
+                    }
+                }
+                splits.push(split);
+            }
+
+            for (let mask = 0; mask <= full; mask++) {
+                const duration = current[mask] / kmPerMinute + service[mask] + (t - 1) * this.turnaroundTime();
+                if (current[mask] < cost[mask] && duration <= this.settings.missionHorizon) {
+                    cost[mask] = current[mask];
+                    tripsUsed[mask] = t;
+                }
+            }
+            previous = current;
+        }
+        cost[0] = 0;
+
+        const stopsOf = mask => {
+            const stops = [];
+            let j = tripPlan[mask].first;
+            let tail = tripPlan[mask].tail;
+            while (j !== -1) {
+                stops.push(zoneIndices[j]);
+                j = tail.next;
+                tail = tail.tail;
+            }
+            return stops;
+        };
+
+        const trips = mask => {
+            const result = [];
+            for (let t = tripsUsed[mask]; t > 0 && mask > 0; t--) {
+                const trip = t === 1 ? mask : splits[t][mask];
+                result.push(stopsOf(trip));
+                mask ^= trip;
+            }
+            return result;
+        };
+
+        return { cost, trips };
+    }
+
+    /**
+     * Non-dominated (distance, energy) options within the energy budget,
+     * sorted by distance with strictly falling energy
+     */
+    paretoFront(options, budget) {
+        options.sort((a, b) => a.distance - b.distance || a.energy - b.energy);
+        const front = [];
+        for (const option of options) {
+            if (option.energy > budget) continue;
+            if (front.length === 0 || option.energy < front[front.length - 1].energy) {
+                front.push(option);
+            }
+        }
+        return front;
+    }
+
+    /**
+     * Run several strategies on the same instance, one after the other.
+     * Returns { name, label, results } per strategy; the optimizer is left
+     * with the plan of the strategy selected in the settings (run on its own
+     * when it is not among names).
+     * Complexity: O(r × s × k × n²) for r strategies
+     */
+    compareStrategies(names = [...this.strategies.keys()]) {
+        const selected = this.settings.strategy;
+        const onProgress = this.onProgress;
+        const runs = [];
+        let kept = null;
+
+        try {
+            names.forEach((name, i) => {
+                this.settings.strategy = name;
+                const label = this.currentStrategy().label;
+
+                // Only the plan kept at the end is worth showing as it improves
+                if (onProgress) {
+                    this.onProgress = ({ phase, fraction }) => onProgress({ phase: `${label} (${i + 1}/${names.length}): ${phase}`, fraction, plan: null });
+                }
+                const results = this.optimize();
+                runs.push({ name, label, results });
+                if (name === selected) kept = { ...this.exportPlan(), summary: results.summary };
+            });
+        } finally {
+            this.settings.strategy = selected;
+            this.onProgress = onProgress;
+        }
+
+        if (kept) {
+            this.importPlan(kept);
+        } else {
+            this.optimize();
+        }
+        return runs;
+    }
+
+    /**
+     * Re-plan the rest of a mission in flight. states maps every drone to
+     * its droneStateAt() snapshot: what was dropped and loaded so far is
+     * kept, drones in the air start from where they are with the battery and
+     * payload they have left, failed drones get no further sorties and zones
+     * added since the last plan are picked up like any other
+     * Complexity: O(s × k × n²)
+     */
+    replan(states, failedDroneIds = []) {
+        const startTime = clockMs();
+
+        // Commit what has already happened
+        states.forEach(state => {
+            state.drops.forEach(({ zone, units }) => {
+                this.confirmedDrops.set(zone, (this.confirmedDrops.get(zone) || 0) + units);
+            });
+            state.loads.forEach(({ depot, units }) => {
+                this.confirmedLoads.set(depot, (this.confirmedLoads.get(depot) || 0) + units);
+            });
+        });
+
+        // Drones in the air start their next sortie where they are
+        this.zones = this.zones.filter(z => !z.isPosition);
+        const positions = new Map();
+        this.drones.forEach(drone => {
+            if (failedDroneIds.includes(drone.id)) drone.failed = true;
+
+            const state = states.get(drone);
+            if (drone.failed || !state.inFlight) return;
+
+            const position = new DronePosition(drone, state.lat, state.lng, state.payload, state.returnDepot.id);
+            positions.set(drone, position);
+            this.zones.push(position);
+        });
+
+        this.prepareZones();
+        this.zones.forEach(zone => zone.delivered = this.confirmedDrops.get(zone) || 0);
+        this.getDepots().forEach(depot => depot.stockLeft = depot.stock - (this.confirmedLoads.get(depot) || 0));
+
+        this.drones.forEach(drone => {
+            const state = states.get(drone);
+            this.resetDrone(drone);
+            drone.sortiesFlown += state.loads.length;
+            drone.charge = state.charge;
+            drone.missionTime = state.time;
+            drone.location = this.zones.indexOf(positions.get(drone) || state.zone);
+        });
+
+        this.flyRounds();
+        this.improvePlan();
+
+        const endTime = clockMs();
+        this.executionTime = endTime - startTime;
+
+        return this.getResults();
+    }
+
+    /**
+     * Sort zones by priority, then build the distance matrix (so its indices
+     * match this.zones) and the depot and station lookups
+     * Complexity: O(n²)
+     */
+    prepareZones() {
+        this.sortZonesByPriority();
+        this.largeInstance = this.zones.filter(zone => zone.isReliefZone).length >= this.settings.largeInstanceZones;
+        if (this.largeInstance) {
+            this.buildSpatialIndex();
+        } else {
+            this.buildDistanceMatrix();
+        }
+        this.findClosestDepots();
+        this.stationIndices = [];
+        this.zones.forEach((zone, i) => {
+            if (zone.isStation) this.stationIndices.push(i);
+        });
+    }
+
+    /**
+     * Clear a drone's planned sorties and totals
+     */
+    resetDrone(drone) {
+        drone.route = [];
+        drone.sorties = [];
+        drone.totalDistance = 0;
+        drone.totalEnergy = 0;
+        drone.totalDelivered = 0;
+        drone.missionTime = 0;
+    }
+
+    /**
+     * Fly sorties in rounds so every drone gets a turn before anyone
+     * reloads. Each round zones are matched to the airframe that fits them
+     * best and drones with the most urgent work go first. With a minimum
+     * served fraction, every zone is first brought up to that share of its
+     * demand, and only then is the rest delivered.
+     * Complexity: O(s × k × n²)
+     */
+    flyRounds() {
+        const floor = this.settings.splitDeliveries ? this.settings.minServedFraction : 0;
+        if (floor > 0) {
+            this.zones.forEach(zone => zone.deliveryCap = Math.ceil(zone.demand * floor));
+            try {
+                this.flyRoundsToCap();
+            } finally {
+                this.zones.forEach(zone => zone.deliveryCap = Infinity);
+            }
+        }
+
+        this.flyRoundsToCap();
+    }
+
+    /**
+     * Rounds of sorties until no drone can deliver towards the zones' caps
+     */
+    flyRoundsToCap() {
+        // One extra round lets drones re-planned in flight finish their sortie first
+        for (let round = 0; round <= this.settings.maxSorties; round++) {
+            let progress = false;
+
+            const preferred = this.currentStrategy().assignZones(this);
+
+            for (const drone of this.dispatchOrder(preferred)) {
+                if (this.flySortie(drone, preferred.get(drone))) {
+                    progress = true;
+                }
+            }
+
+            if (!progress) break; // Nothing left that any drone can reach
+            this.reportProgress('Building routes', (round + 1) / (this.settings.maxSorties + 1));
+        }
+    }
+
+    /**
+     * Improvement stage: simulated annealing over the whole plan with
+     * relocate, swap, cross-exchange and Or-opt moves within and between
+     * sorties of all drones. Runs for settings.improvementTime ms or
+     * improvementIterations moves; only plans that keep battery, payload,
+     * depot stock, delivery windows and the horizon are considered. The best
+     * cost after each iteration is kept in this.convergence.
+     * Complexity: O(iterations × s × L)
+     */
+    improvePlan() {
+        this.convergence = [];
+        this.initialCost = 0;
+
+        const { improvementTime, improvementIterations } = this.settings;
+        const drones = this.activeDrones().filter(drone => drone.sorties.length > 0);
+        if (improvementTime <= 0 || improvementIterations <= 0 || drones.length === 0) return;
+
+        // Per drone and sortie: the stops after the departure point and the units dropped at each
+        let plan = drones.map(drone => drone.sorties.map(sortie => ({
+            stops: sortie.route.slice(1),
+            units: sortie.drops.slice(1)
+        })));
+        const origins = drones.map(drone => ({
+            start: drone.sorties[0].route[0],
+            time: drone.sorties[0].startTime,
+            charge: drone.sorties[0].startCharge
+        }));
+
+        let evaluations = drones.map((drone, d) => this.evaluateSorties(drone, origins[d], plan[d]));
+        if (evaluations.some(evaluation => evaluation === null)) return; // Nothing to compare against
+
+        // Drones without sorties still count towards the imbalance
+        const idle = Array(this.activeDrones().length - drones.length).fill({ distance: 0, units: 0 });
+        const totalCost = list => list.reduce((sum, evaluation) => sum + evaluation.cost, 0) +
+            this.settings.balanceWeight * this.imbalance([...idle, ...list.map(evaluation => ({
+                distance: evaluation.built.reduce((sum, sortie) => sum + sortie.distance, 0),
+                units: evaluation.built.reduce((sum, sortie) => sum + sortie.delivered, 0)
+            }))]);
+        let currentCost = totalCost(evaluations);
+        let bestCost = currentCost;
+        let bestEvaluations = evaluations;
+        let bestReported = true;
+        this.initialCost = currentCost;
+
+        // The best plan so far as exportPlan() data, for onProgress
+        const bestPlan = () => {
+            const sorties = new Map(drones.map((drone, d) => [drone, bestEvaluations[d].built.map(entry => ({
+                route: entry.route,
+                drops: entry.drops,
+                startTime: entry.schedule.startTime,
+                endDepot: entry.schedule.endDepot
+            }))]));
+            return this.exportPlan(drone => sorties.get(drone) || drone.sorties);
+        };
+
+        const stopCount = plan.flat().reduce((sum, sortie) => sum + sortie.stops.length, 0);
+        const startTemperature = 0.05 * currentCost / Math.max(1, stopCount);
+        const clock = clockMs();
+
+        for (let iteration = 0; iteration < improvementIterations; iteration++) {
+            const elapsed = clockMs() - clock;
+            if (elapsed >= improvementTime) break;
+
+            const fraction = Math.max(elapsed / improvementTime, iteration / improvementIterations);
+            if (this.reportProgress('Improving routes', fraction, bestReported ? null : bestPlan)) {
+                bestReported = true;
+            }
+
+            const candidate = this.proposeMove(plan, origins);
+            if (candidate) {
+                const next = evaluations.slice();
+                let feasible = true;
+                for (const d of candidate.changed) {
+                    next[d] = this.evaluateSorties(drones[d], origins[d], candidate.plan[d]);
+                    if (next[d] === null) {
+                        feasible = false;
+                        break;
+                    }
+                }
+
+                if (feasible && this.stockFeasible(next)) {
+                    const nextCost = totalCost(next);
+                    const delta = nextCost - currentCost;
+
+                    // Annealing: always take improvements, worse plans less often as it cools
+                    const progress = Math.max(elapsed / improvementTime, iteration / improvementIterations);
+                    const temperature = startTemperature * (1 - progress);
+                    if (delta < 0 || (temperature > 0 && this.random() < Math.exp(-delta / temperature))) {
+                        plan = candidate.plan;
+                        evaluations = next;
+                        currentCost = nextCost;
+
+                        if (currentCost < bestCost - 1e-9) {
+                            bestCost = currentCost;
+                            bestEvaluations = evaluations;
+                            bestReported = false;
+                        }
+                    }
+                }
+            }
+
+            this.convergence.push(bestCost);
+        }
+
+        drones.forEach((drone, d) => this.applySorties(drone, origins[d], bestEvaluations[d].built));
+
+        // Loads may have moved between depots
+        this.zones.forEach(zone => {
+            if (zone.isDepot || zone.isPosition) {
+                zone.stockLeft = zone.stock - (this.confirmedLoads.get(zone) || 0);
+            }
+        });
+        this.drones.forEach(drone => drone.sorties.forEach(sortie => {
+            this.zones[sortie.route[0]].stockLeft -= sortie.delivered;
+        }));
+    }
+
+    /**
+     * A random neighbour of the plan: one of relocate, swap, cross-exchange
+     * or Or-opt. Returns { plan, changed } with the indices of the drones
+     * whose sorties changed, or null when the move does not apply
+     */
+    proposeMove(plan, origins) {
+        const pick = n => Math.floor(this.random() * n);
+
+        // Every relief zone stop, as [drone, sortie, position]
+        const stops = [];
+        plan.forEach((sorties, d) => sorties.forEach((sortie, s) => sortie.stops.forEach((idx, k) => {
+            if (this.zones[idx].isReliefZone) stops.push([d, s, k]);
+        })));
+        if (stops.length === 0) return null;
+
+        const sortieRefs = [];
+        plan.forEach((sorties, d) => sorties.forEach((sortie, s) => sortieRefs.push([d, s])));
+
+        const next = plan.slice();
+        const changed = new Set();
+        const edit = (d, s) => {
+            if (!changed.has(d)) {
+                next[d] = plan[d].map(sortie => ({ stops: [...sortie.stops], units: [...sortie.units] }));
+                changed.add(d);
+            }
+            return next[d][s];
+        };
+        const has = (sortie, idx) => sortie.stops.includes(idx);
+
+        const [d1, s1, k1] = stops[pick(stops.length)];
+        const move = pick(4);
+
+        if (move === 0) {
+            // Relocate: one stop to any position of another sortie
+            const [d2, s2] = sortieRefs[pick(sortieRefs.length)];
+            if (d1 === d2 && s1 === s2) return null;
+            const zoneIdx = plan[d1][s1].stops[k1];
+            if (has(plan[d2][s2], zoneIdx)) return null;
+
+            const from = edit(d1, s1);
+            const to = edit(d2, s2);
+            const units = from.units[k1];
+            from.stops.splice(k1, 1);
+            from.units.splice(k1, 1);
+            const at = pick(to.stops.length + 1);
+            to.stops.splice(at, 0, zoneIdx);
+            to.units.splice(at, 0, units);
+        } else if (move === 1) {
+            // Swap: two stops of different sorties trade places
+            const [d2, s2, k2] = stops[pick(stops.length)];
+            if (d1 === d2 && s1 === s2) return null;
+            const a = plan[d1][s1].stops[k1];
+            const b = plan[d2][s2].stops[k2];
+            if (has(plan[d2][s2], a) || has(plan[d1][s1], b)) return null;
+
+            const first = edit(d1, s1);
+            const second = edit(d2, s2);
+            [first.stops[k1], second.stops[k2]] = [b, a];
+            [first.units[k1], second.units[k2]] = [second.units[k2], first.units[k1]];
+        } else if (move === 2) {
+            // Cross-exchange: segments of up to three stops trade places
+            const [d2, s2, k2] = stops[pick(stops.length)];
+            if (d1 === d2 && s1 === s2) return null;
+            const len1 = Math.min(1 + pick(3), plan[d1][s1].stops.length - k1);
+            const len2 = Math.min(1 + pick(3), plan[d2][s2].stops.length - k2);
+            const segment1 = plan[d1][s1].stops.slice(k1, k1 + len1);
+            const segment2 = plan[d2][s2].stops.slice(k2, k2 + len2);
+            const rest1 = plan[d1][s1].stops.filter((idx, k) => k < k1 || k >= k1 + len1);
+            const rest2 = plan[d2][s2].stops.filter((idx, k) => k < k2 || k >= k2 + len2);
+            if (segment2.some(idx => rest1.includes(idx)) || segment1.some(idx => rest2.includes(idx))) return null;
+
+            const first = edit(d1, s1);
+            const second = edit(d2, s2);
+            const units1 = first.units.splice(k1, len1);
+            const units2 = second.units.splice(k2, len2);
+            first.stops.splice(k1, len1, ...segment2);
+            first.units.splice(k1, 0, ...units2);
+            second.stops.splice(k2, len2, ...segment1);
+            second.units.splice(k2, 0, ...units1);
+        } else {
+            // Or-opt: a run of two or three stops moves elsewhere in its sortie
+            const sortie = plan[d1][s1];
+            const len = Math.min(2 + pick(2), sortie.stops.length - k1);
+            if (len < 2 || sortie.stops.length <= len) return null;
+
+            const edited = edit(d1, s1);
+            const segment = edited.stops.splice(k1, len);
+            const units = edited.units.splice(k1, len);
+            const at = pick(edited.stops.length + 1);
+            if (at === k1) return null;
+            edited.stops.splice(at, 0, ...segment);
+            edited.units.splice(at, 0, ...units);
+        }
+
+        // Sorties left without a drop are not flown (a drone in the air still flies home)
+        for (const d of changed) {
+            next[d] = next[d].filter((sortie, s) =>
+                sortie.stops.some(idx => this.zones[idx].isReliefZone) ||
+                (s === 0 && this.zones[origins[d].start].isPosition));
+        }
+
+        return { plan: next, changed: [...changed] };
+    }
+
+    /**
+     * Fly a drone's sorties back to back from its origin: routes, energy,
+     * schedules and cost (flight, lateness included, at the objective's
+     * distance cost; moves never change what is dropped), or null when a
+     * sortie breaks the payload, battery, delivery windows or horizon
+     * (unless strict is off: then everything is flown as given)
+     * Complexity: O(s × L)
+     */
+    evaluateSorties(drone, origin, sorties, strict = true) {
+        const kmPerMinute = drone.cruiseSpeed / 60;
+        const built = [];
+        let start = origin.start;
+        let time = origin.time;
+        let charge = origin.charge;
+        let cost = 0;
+
+        for (let s = 0; s < sorties.length; s++) {
+            const { stops, units } = sorties[s];
+            if (s > 0) {
+                time += this.turnaroundTime();
+                if (this.settings.rechargeBetweenSorties) charge = drone.batteryCapacity;
+            }
+
+            const load = units.reduce((sum, u) => sum + u, 0);
+            if (strict && load > drone.payloadCapacity) return null;
+
+            const route = [start, ...stops];
+            const drops = new Map(stops.map((idx, k) => [idx, units[k]]));
+            const energy = this.routeEnergy(route, drops, drone);
+            if (strict && !this.energyFeasible(energy, charge - drone.batteryCapacity * drone.reserveMargin, drone)) return null;
+
+            const schedule = this.scheduleRoute(route, drone, time);
+            if (strict && schedule.endTime > this.settings.missionHorizon) return null;
+            if (strict && this.settings.hardTimeWindows && schedule.totalLateness > 0) return null;
+
+            const distance = this.calculateRouteDistance(route);
+            cost += this.settings.distanceCost * (distance + schedule.totalLateness * this.settings.latenessWeight * kmPerMinute);
+            built.push({ route, drops: [0, ...units], distance, energy, schedule, startCharge: charge, delivered: load });
+
+            const lastSegment = energy.segments[energy.segments.length - 1];
+            charge = (energy.segments.length > 1 ? drone.batteryCapacity : charge) - lastSegment;
+            time = schedule.endTime;
+            start = schedule.endDepot;
+        }
+
+        return { cost, built };
+    }
+
+    /**
+     * Whether the loads of a plan fit the stock of the depots they leave
+     * from (and in-flight sorties what the drone still carries)
+     */
+    stockFeasible(evaluations) {
+        const loads = new Map();
+        evaluations.forEach(evaluation => evaluation.built.forEach(sortie => {
+            const start = this.zones[sortie.route[0]];
+            loads.set(start, (loads.get(start) || 0) + sortie.delivered);
+        }));
+
+        for (const [start, load] of loads) {
+            if (load > start.stock - (this.confirmedLoads.get(start) || 0)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Replace a drone's sorties with evaluated ones flown from its origin
+     * and update its totals
+     */
+    applySorties(drone, origin, built) {
+        this.resetDrone(drone);
+        drone.charge = origin.charge;
+        drone.missionTime = origin.time;
+        drone.location = origin.start;
+
+        let launched = drone.sortiesFlown;
+        built.forEach(entry => {
+            const inFlight = this.zones[entry.route[0]].isPosition;
+            if (!inFlight) launched++;
+
+            const sortie = new Sortie(launched, entry.route, entry.drops, entry.distance, entry.energy, entry.delivered, entry.schedule);
+            sortie.startCharge = entry.startCharge;
+            drone.sorties.push(sortie);
+
+            const lastSegment = entry.energy.segments[entry.energy.segments.length - 1];
+            drone.charge = (entry.energy.segments.length > 1 ? drone.batteryCapacity : entry.startCharge) - lastSegment;
+            drone.route = drone.route.concat(entry.route);
+            drone.totalDistance += entry.distance;
+            drone.totalEnergy += entry.energy.total;
+            drone.totalDelivered += entry.delivered;
+            drone.missionTime = entry.schedule.endTime;
+            drone.location = entry.schedule.endDepot;
+        });
+    }
+
+    /**
+     * Drones still able to fly
+     */
+    activeDrones() {
+        return this.drones.filter(drone => !drone.failed);
+    }
+
+    /**
+     * Where a drone is after flying distanceFlown km along its planned path:
+     * position, battery and payload on board, mission time, the drops made
+     * and the loads taken from depots so far
+     * Complexity: O(s × L)
+     */
+    droneStateAt(drone, distanceFlown) {
+        const drops = [];
+        const loads = [];
+        let left = distanceFlown;
+
+        for (let s = 0; s < drone.sorties.length; s++) {
+            const sortie = drone.sorties[s];
+            const start = this.zones[sortie.route[0]];
+
+            // Still waiting to take off: at the depot, or hovering where the last re-plan left it
+            if (left <= 0) {
+                return {
+                    zone: start,
+                    lat: start.lat,
+                    lng: start.lng,
+                    inFlight: start.isPosition,
+                    returnDepot: this.zones[sortie.endDepot],
+                    charge: sortie.startCharge,
+                    payload: start.isPosition ? start.stock : 0,
+                    time: sortie.startTime,
+                    drops,
+                    loads
+                };
+            }
+
+            if (start.isDepot) loads.push({ depot: start, units: sortie.delivered });
+
+            const legs = this.describeLegs(drone, s);
+            let charge = sortie.startCharge;
+
+            for (let k = 0; k < legs.length; k++) {
+                const leg = legs[k];
+                const from = sortie.energy.legs[k].from;
+                const to = sortie.energy.legs[k].to;
+
+                if (left < leg.distance) {
+                    const fraction = left / leg.distance;
+                    const point = this.pointAlongLeg(from, to, fraction);
+                    const departure = k === 0 ? sortie.startTime : sortie.stops[k - 1].departure;
+                    const arrival = k < sortie.stops.length ? sortie.stops[k].arrival : sortie.endTime;
+
+                    return {
+                        zone: null,
+                        lat: point.lat,
+                        lng: point.lng,
+                        inFlight: true,
+                        returnDepot: this.zones[sortie.endDepot],
+                        charge: charge - leg.energy * fraction,
+                        payload: leg.payload,
+                        time: departure + (arrival - departure) * fraction,
+                        drops,
+                        loads
+                    };
+                }
+
+                left -= leg.distance;
+                charge = leg.to.isStation ? drone.batteryCapacity : leg.remainingCharge;
+                if (leg.to.isReliefZone) drops.push({ zone: leg.to, units: sortie.drops[k + 1] });
+            }
+        }
+
+        // Mission flown: back at the last depot (or lost, for a drone that failed in the air)
+        const zone = this.zones[drone.location];
+        if (!zone) {
+            return { zone: null, lat: null, lng: null, inFlight: false, returnDepot: null, charge: 0, payload: 0, time: drone.missionTime, drops, loads };
+        }
+
+        return {
+            zone,
+            lat: zone.lat,
+            lng: zone.lng,
+            inFlight: zone.isPosition,
+            returnDepot: zone.isPosition ? this.zones[this.depotIndex(zone.returnDepotId)] : zone,
+            charge: drone.charge,
+            payload: zone.isPosition ? zone.stockLeft : 0,
+            time: drone.missionTime,
+            drops,
+            loads
+        };
+    }
+
+    /**
+     * Point a given fraction of the way along the (detoured) leg between two zones
+     */
+    pointAlongLeg(from, to, fraction) {
+        const points = [this.zones[from], ...this.waypointsBetween(from, to), this.zones[to]];
+        const lengths = [];
+        let total = 0;
+        for (let k = 0; k < points.length - 1; k++) {
+            lengths.push(this.calculateDistance(points[k].lat, points[k].lng, points[k + 1].lat, points[k + 1].lng));
+            total += lengths[k];
+        }
+
+        let target = total * fraction;
+        for (let k = 0; k < lengths.length; k++) {
+            if (target <= lengths[k] && lengths[k] > 0) {
+                const t = target / lengths[k];
+                return {
+                    lat: points[k].lat + (points[k + 1].lat - points[k].lat) * t,
+                    lng: points[k].lng + (points[k + 1].lng - points[k].lng) * t
+                };
+            }
+            target -= lengths[k];
+        }
+        return { lat: points[points.length - 1].lat, lng: points[points.length - 1].lng };
+    }
+
+    /**
+     * Best-fit matching of zones to airframes: each zone with demand left is
+     * preferred by the drone whose range and payload it uses most fully, so
+     * heavy-lift drones take the big loads and long-range drones the far zones
+     * Complexity: O(k × n)
+     */
+    assignZonesToDrones() {
+        const preferred = new Map(this.activeDrones().map(drone => [drone, new Set()]));
+
+        for (let i = 1; i < this.zones.length; i++) {
+            const zone = this.zones[i];
+            if (zone.remaining <= 0) continue;
+
+            let bestDrone = null;
+            let bestFit = Infinity;
+
+            for (const drone of this.activeDrones()) {
+                // Out loaded from the drone's depot, back empty
+                const load = Math.min(zone.remaining, drone.payloadCapacity);
+                const returnIdx = this.returnDepot(i, drone.location);
+                const roundTrip = this.legEnergy(drone, this.distanceBetween(drone.location, i), load) +
+                    this.legEnergy(drone, this.distanceBetween(i, returnIdx), 0);
+
+                if (roundTrip > drone.usableBattery) continue;
+                if (!this.settings.splitDeliveries && zone.remaining > drone.payloadCapacity) continue;
+
+                // Unused range and payload, plus one for every extra trip the load needs
+                const rangeSlack = 1 - roundTrip / drone.usableBattery;
+                const loadSlack = Math.max(0, drone.payloadCapacity - zone.remaining) / drone.payloadCapacity;
+                const extraTrips = Math.ceil(zone.remaining / drone.payloadCapacity) - 1;
+                const fit = rangeSlack + loadSlack + extraTrips;
+
+                if (fit < bestFit) {
+                    bestFit = fit;
+                    bestDrone = drone;
+                }
+            }
+
+            if (bestDrone) preferred.get(bestDrone).add(i);
+        }
+
+        return preferred;
+    }
+
+    /**
+     * Drones ordered by the urgency of the zones they are best suited for
+     * (objective value of their remaining demand), busiest first. When
+     * balancing, whoever has flown (minMax) or carried (workload) least goes first.
+     */
+    dispatchOrder(preferred) {
+        const { balanceMode } = this.settings;
+        if (balanceMode === 'minMax' || balanceMode === 'workload') {
+            const done = drone => balanceMode === 'minMax' ? drone.totalDistance : drone.totalDelivered;
+            return this.activeDrones().sort((a, b) => done(a) - done(b));
+        }
+
+        const workload = drone => {
+            let total = 0;
+            for (const zoneIdx of preferred.get(drone)) {
+                const zone = this.zones[zoneIdx];
+                total += this.deliveryValue(zone, zone.remaining);
+            }
+            return total;
+        };
+
+        return this.activeDrones()
+            .map(drone => ({ drone, load: workload(drone) }))
+            .sort((a, b) => b.load - a.load)
+            .map(entry => entry.drone);
+    }
+
+    /**
+     * Plan the next sortie for a drone from the zones with demand remaining.
+     * Returns false when the drone cannot fly (no time, battery or zones left).
+     */
+    flySortie(drone, preferredZones = null) {
+        // A drone re-planned in flight carries on without landing, and always
+        // gets a sortie, if only to fly home
+        const inFlight = this.zones[drone.location].isPosition;
+        const launched = drone.sortiesFlown + drone.sorties.filter(sortie => this.zones[sortie.route[0]].isDepot).length;
+        if (!inFlight && launched >= this.settings.maxSorties) return false;
+
+        const isFirst = drone.sorties.length === 0;
+        const turnaround = isFirst ? 0 : this.turnaroundTime();
+        const startTime = drone.missionTime + turnaround;
+
+        // Energy budget: a full charge, or whatever is left of it, minus the reserve
+        const startCharge = this.settings.rechargeBetweenSorties && !inFlight ? drone.batteryCapacity : drone.charge;
+        const maxEnergy = startCharge - drone.batteryCapacity * drone.reserveMargin;
+
+        if (!inFlight && (maxEnergy <= 0 || startTime >= this.settings.missionHorizon)) return false;
+        if (!inFlight && this.zones[drone.location].stockLeft <= 0) return false;
+
+        // Get zones with demand left; without splitting, the whole remaining
+        // demand has to fit in one load
+        const availableZones = [];
+
+        for (let i = 1; i < this.zones.length; i++) {
+            const remaining = this.zones[i].remaining;
+            if (remaining > 0 && (this.settings.splitDeliveries || remaining <= drone.payloadCapacity)) {
+                availableZones.push(i);
+            }
+        }
+
+        if (availableZones.length === 0 && !inFlight) return false;
+
+        // Build route with the selected strategy (nearest neighbour by default) - O(n²)
+        const construction = this.currentStrategy().buildSortie(this, availableZones, drone, maxEnergy, preferredZones, startTime);
+        let route = construction.route;
+        if (route.length < 2 && !inFlight) return false;
+
+        // Optimize route with 2-Opt - O(n²)
+        route = this.twoOptOptimize(route, maxEnergy, drone, startTime, construction.drops);
+
+        // Drop the planned units and calculate delivered supplies
+        const drops = route.map(zoneIdx => construction.drops.get(zoneIdx) || 0);
+        let delivered = 0;
+        route.forEach((zoneIdx, i) => {
+            this.zones[zoneIdx].delivered += drops[i];
+            delivered += drops[i];
+        });
+
+        const distance = this.calculateRouteDistance(route);
+        const energy = this.routeEnergy(route, construction.drops, drone);
+        const schedule = this.scheduleRoute(route, drone, startTime);
+
+        const sortie = new Sortie(inFlight ? launched : launched + 1, route, drops, distance, energy, delivered, schedule);
+        sortie.startCharge = startCharge;
+        drone.sorties.push(sortie);
+
+        // After the last recharge stop the drone flew home on a fresh battery
+        const lastSegment = energy.segments[energy.segments.length - 1];
+        drone.charge = (energy.segments.length > 1 ? drone.batteryCapacity : startCharge) - lastSegment;
+        drone.route = drone.route.concat(route);
+        drone.totalDistance += distance;
+        drone.totalEnergy += energy.total;
+        drone.totalDelivered += delivered;
+        drone.missionTime = schedule.endTime;
+
+        this.zones[route[0]].stockLeft -= delivered;
+        drone.location = schedule.endDepot;
+
+        return true;
+    }
+
+    /**
+     * Minutes a drone spends at base between two sorties
+     */
+    turnaroundTime() {
+        return this.settings.reloadTime +
+            (this.settings.rechargeBetweenSorties ? this.settings.rechargeTime : 0);
+    }
+
+    /**
+     * Battery usage (%) of a drone: the deepest discharge reached between two
+     * charges (at base or at a station) over the whole mission
+     */
+    batteryUsage(drone) {
+        if (drone.sorties.length === 0) return 0;
+
+        let lowest = drone.batteryCapacity;
+        drone.sorties.forEach((sortie, s) => {
+            this.describeLegs(drone, s).forEach(leg => {
+                lowest = Math.min(lowest, leg.remainingCharge);
+            });
+        });
+        return (drone.batteryCapacity - lowest) / drone.batteryCapacity * 100;
+    }
+
+    /**
+     * Legs of a sortie with the energy drawn and the charge left after each
+     */
+    describeLegs(drone, sortieIndex) {
+        // Without recharging at base, a sortie starts with what earlier sorties left
+        const sortie = drone.sorties[sortieIndex];
+        let charge = sortie.startCharge;
+
+        return sortie.energy.legs.map((leg, k) => {
+            charge -= leg.energy;
+            const remainingCharge = charge;
+
+            // A station swap/recharge restores a full battery for the next leg
+            if (this.zones[leg.to].isStation && k + 1 < sortie.energy.legs.length) {
+                charge = drone.batteryCapacity;
+            }
+
+            return {
+                from: this.zones[leg.from],
+                to: this.zones[leg.to],
+                distance: leg.distance,
+                payload: leg.payload,
+                energy: leg.energy,
+                remainingCharge,
+                remainingPercent: remainingCharge / drone.batteryCapacity * 100
+            };
+        });
+    }
+
+    /**
+     * Re-check the finished plan independently of how it was built: every
+     * sortie is walked again from the distance matrix and the energy model.
+     * Returns violations as { rule, message, droneId, sortie, zoneId } (ids
+     * null where they don't apply); an empty list means the plan is sound.
+     * Rules: start-depot, end-depot, continuity, payload, battery,
+     * duplicate-visit, split-delivery, over-delivery, max-sorties,
+     * time-window, horizon, depot-stock, failed-drone, totals, zone-id.
+     * Complexity: O(L + n) for L route stops in total
+     */
+    validatePlan() {
+        const violations = [];
+        const add = (rule, message, { drone = null, sortie = null, zone = null } = {}) => violations.push({
+            rule,
+            message,
+            droneId: drone ? drone.id : null,
+            sortie: sortie ? sortie.number : null,
+            zoneId: zone ? zone.id : null
+        });
+        const eps = 1e-6;
+
+        // Relief zone ids are what the UI and exported files refer to
+        const seenIds = new Set();
+        this.zones.filter(zone => zone.isReliefZone).forEach(zone => {
+            if (!Number.isInteger(zone.id) || zone.id < 1) {
+                add('zone-id', `${zone.label} has id ${zone.id}; relief zone ids are positive integers`, { zone });
+            } else if (seenIds.has(zone.id)) {
+                add('zone-id', `More than one relief zone has id ${zone.id}`, { zone });
+            }
+            seenIds.add(zone.id);
+        });
+
+        const planned = new Map(); // Zone -> units dropped by this plan
+        const sortiesAt = new Map(); // Zone -> sorties dropping there
+        const shipped = new Map(); // Depot -> units loaded for this plan
+
+        this.drones.forEach(drone => {
+            const where = sortie => ({ drone, sortie });
+            if (drone.failed && drone.sorties.length > 0) {
+                add('failed-drone', `${drone.name} is grounded but still has sorties planned`, { drone });
+            }
+
+            const launches = drone.sorties.filter(sortie => this.zones[sortie.route[0]].isDepot).length;
+            if (drone.sortiesFlown + launches > this.settings.maxSorties) {
+                add('max-sorties', `${drone.name} launches ${drone.sortiesFlown + launches} sorties, more than the ${this.settings.maxSorties} allowed`, { drone });
+            }
+
+            let charge = drone.batteryCapacity;
+            let totalDistance = 0;
+            let totalDelivered = 0;
+
+            drone.sorties.forEach((sortie, s) => {
+                const start = this.zones[sortie.route[0]];
+                const end = this.zones[sortie.endDepot];
+
+                // Where it starts and ends
+                if (!start.isDepot && !(start.isPosition && start.id === `P${drone.id}` && s === 0)) {
+                    add('start-depot', `${drone.name} sortie ${sortie.number} starts at ${start.label}, not at a depot`, where(sortie));
+                } else if (s === 0 && start.isDepot && drone.sortiesFlown === 0 && start.id !== drone.depotId) {
+                    add('start-depot', `${drone.name} starts from ${start.label} instead of its home depot`, where(sortie));
+                }
+                if (!end || !end.isDepot) {
+                    add('end-depot', `${drone.name} sortie ${sortie.number} does not end at a depot`, where(sortie));
+                } else if (!this.settings.openRoutes && start.isDepot && end !== start) {
+                    add('end-depot', `${drone.name} sortie ${sortie.number} ends at ${end.label}, not back at ${start.label}`, where(sortie));
+                } else if (start.isPosition && end.id !== start.returnDepotId && !this.settings.openRoutes) {
+                    add('end-depot', `${drone.name} heads for ${end.label} instead of the depot it was flying back to`, where(sortie));
+                }
+                if (s > 0 && sortie.route[0] !== drone.sorties[s - 1].endDepot) {
+                    add('continuity', `${drone.name} sortie ${sortie.number} leaves from ${start.label}, not where sortie ${drone.sorties[s - 1].number} landed`, where(sortie));
+                }
+
+                // What it carries
+                const load = sortie.drops.reduce((sum, units) => sum + units, 0);
+                const loadLimit = start.isPosition ? start.stock : drone.payloadCapacity;
+                if (load > loadLimit) {
+                    add('payload', `${drone.name} sortie ${sortie.number} carries ${load} units, more than the ${loadLimit} it can`, where(sortie));
+                }
+                const visited = new Set();
+                sortie.route.forEach((idx, k) => {
+                    const zone = this.zones[idx];
+                    const units = sortie.drops[k];
+                    if (!Number.isInteger(units) || units < 0 || (units > 0 && !zone.isReliefZone)) {
+                        add('payload', `${drone.name} sortie ${sortie.number} drops ${units} units at ${zone.label}`, { drone, sortie, zone });
+                    }
+                    if (!zone.isReliefZone) return;
+
+                    if (visited.has(zone)) {
+                        add('duplicate-visit', `${drone.name} sortie ${sortie.number} visits ${zone.label} more than once`, { drone, sortie, zone });
+                    }
+                    visited.add(zone);
+                    if (units > 0) {
+                        planned.set(zone, (planned.get(zone) || 0) + units);
+                        sortiesAt.set(zone, (sortiesAt.get(zone) || 0) + 1);
+                    }
+                });
+                if (start.isDepot) shipped.set(start, (shipped.get(start) || 0) + load);
+
+                // Battery, leg by leg with the payload still on board
+                if (s === 0 || start.isPosition) {
+                    charge = sortie.startCharge;
+                } else if (this.settings.rechargeBetweenSorties) {
+                    charge = drone.batteryCapacity;
+                }
+                const reserve = drone.batteryCapacity * drone.reserveMargin;
+                const nodes = [...sortie.route, sortie.endDepot];
+                let payload = load;
+                let distance = 0;
+                let flagged = false;
+                for (let k = 0; k + 1 < nodes.length; k++) {
+                    if (k > 0) payload -= sortie.drops[k];
+                    const leg = this.distanceBetween(nodes[k], nodes[k + 1]);
+                    distance += leg;
+                    charge -= this.legEnergy(drone, leg, payload);
+
+                    const to = this.zones[nodes[k + 1]];
+                    if (charge < reserve - eps && !flagged) {
+                        flagged = true;
+                        add('battery', `${drone.name} sortie ${sortie.number} reaches ${to.label} with ${(charge / drone.batteryCapacity * 100).toFixed(0)}% battery, below its ${(drone.reserveMargin * 100).toFixed(0)}% reserve`, where(sortie));
+                    }
+                    if (to.isStation && k + 2 < nodes.length) charge = drone.batteryCapacity;
+                }
+
+                // When it flies
+                sortie.stops.forEach(stop => {
+                    const zone = this.zones[stop.zoneIdx];
+                    if (this.settings.hardTimeWindows && stop.serviceStart > zone.latest + eps) {
+                        add('time-window', `${drone.name} reaches ${zone.label} ${(stop.serviceStart - zone.latest).toFixed(0)} min after its window closes`, { drone, sortie, zone });
+                    }
+                });
+                if (sortie.endTime > this.settings.missionHorizon + eps) {
+                    add('horizon', `${drone.name} sortie ${sortie.number} lands after the ${this.settings.missionHorizon} min mission horizon`, where(sortie));
+                }
+
+                // The recorded figures
+                if (Math.abs(distance - sortie.distance) > eps || load !== sortie.delivered) {
+                    add('totals', `${drone.name} sortie ${sortie.number} records ${sortie.distance.toFixed(2)} km and ${sortie.delivered} units; its route is ${distance.toFixed(2)} km and ${load} units`, where(sortie));
+                }
+                totalDistance += distance;
+                totalDelivered += load;
+            });
+
+            if (Math.abs(totalDistance - drone.totalDistance) > eps * Math.max(1, drone.sorties.length) || totalDelivered !== drone.totalDelivered) {
+                add('totals', `${drone.name} records ${drone.totalDistance.toFixed(2)} km and ${drone.totalDelivered} units; its sorties add up to ${totalDistance.toFixed(2)} km and ${totalDelivered} units`, { drone });
+            }
+        });
+
+        // What each zone got, across all sorties and before any re-plan
+        this.zones.filter(zone => zone.isReliefZone).forEach(zone => {
+            const received = (this.confirmedDrops.get(zone) || 0) + (planned.get(zone) || 0);
+            if (received > zone.demand) {
+                add('over-delivery', `${zone.label} gets ${received} units but needs only ${zone.demand}`, { zone });
+            }
+            if (received !== zone.delivered) {
+                add('totals', `${zone.label} records ${zone.delivered} units delivered; the plan drops ${received}`, { zone });
+            }
+            if (!this.settings.splitDeliveries && (sortiesAt.get(zone) || 0) > 1) {
+                add('split-delivery', `${zone.label} is served by ${sortiesAt.get(zone)} sorties with split deliveries off`, { zone });
+            }
+        });
+
+        this.getDepots().forEach(depot => {
+            const loaded = (this.confirmedLoads.get(depot) || 0) + (shipped.get(depot) || 0);
+            if (loaded > depot.stock) {
+                add('depot-stock', `${depot.label} ships ${loaded} units but holds only ${depot.stock}`, {});
+            }
+        });
+
+        return violations;
+    }
+
+    /**
+     * Check the relief zones the UI shows against the optimizer's: the same
+     * objects, each shown once, with the ids the plan uses. Returns zone-id
+     * violations like validatePlan().
+     */
+    checkDisplayedZones(displayedZones) {
+        const violations = [];
+        const add = (message, zone) => violations.push({ rule: 'zone-id', message, droneId: null, sortie: null, zoneId: zone.id });
+
+        const reliefZones = this.zones.filter(zone => zone.isReliefZone);
+        const known = new Set(reliefZones);
+        const shown = new Map();
+        displayedZones.forEach(zone => {
+            if (!known.has(zone)) {
+                const twin = reliefZones.find(z => z.id === zone.id);
+                add(twin ? `The map's ${zone.label} is a stale copy of the planned zone with id ${zone.id}` : `The map shows ${zone.label} (id ${zone.id}), which the optimizer doesn't have`, zone);
+            }
+            shown.set(zone, (shown.get(zone) || 0) + 1);
+        });
+        reliefZones.forEach(zone => {
+            const count = shown.get(zone) || 0;
+            if (count !== 1) add(`${zone.label} (id ${zone.id}) is shown ${count} times on the map`, zone);
+        });
+
+        return violations;
+    }
+
+    /**
+     * Get optimization results
+     */
+    getResults() {
+        const totalDistance = this.drones.reduce((sum, drone) => sum + drone.totalDistance, 0);
+        const zonesServed = this.zones.filter(z => z.served && z.isReliefZone).length;
+        const totalZones = this.zones.filter(z => z.isReliefZone).length; // Exclude depots and stations
+
+        // Count by priority
+        const criticalServed = this.zones.filter(z => z.served && z.priority === 1).length;
+        const moderateServed = this.zones.filter(z => z.served && z.priority === 2).length;
+        const lowServed = this.zones.filter(z => z.served && z.priority === 3).length;
+
+        const totalCritical = this.zones.filter(z => z.priority === 1 && z.isReliefZone).length;
+        const totalModerate = this.zones.filter(z => z.priority === 2 && z.isReliefZone).length;
+        const totalLow = this.zones.filter(z => z.priority === 3 && z.isReliefZone).length;
+
+        // Zones that got only part of their demand
+        const partialZones = this.zones
+            .filter(z => z.isReliefZone && z.partiallyServed)
+            .map(z => ({ id: z.id, name: z.label, priority: z.priority, demand: z.demand, delivered: z.delivered, remaining: z.remaining }));
+        const remainingDemand = this.zones.reduce((sum, z) => sum + z.remaining, 0);
+
+        // Late stops, and zones whose window was missed (late or not fully served)
+        const lateZoneIds = new Set();
+        let lateStops = 0;
+        let totalLateness = 0;
+        this.drones.forEach(drone => drone.sorties.forEach(sortie => sortie.stops.forEach(stop => {
+            if (stop.lateness > 0) {
+                lateStops++;
+                totalLateness += stop.lateness;
+                lateZoneIds.add(this.zones[stop.zoneIdx].id);
+            }
+        })));
+        const missedWindows = this.zones
+            .filter(z => z.isReliefZone && z.hasTimeWindow && (z.remaining > 0 || lateZoneIds.has(z.id)))
+            .map(z => z.id);
+
+        // Calculate average battery usage
+        const avgBatteryUsage = this.drones.reduce((sum, drone) => {
+            return sum + this.batteryUsage(drone);
+        }, 0) / this.drones.length;
+
+        const totalSorties = this.drones.reduce((sum, drone) => sum + drone.sorties.length, 0);
+
+        // Work shipped out of each depot
+        const depots = this.getDepots().map(depot => {
+            const sorties = this.drones.flatMap(drone => drone.sorties)
+                .filter(sortie => this.zones[sortie.route[0]] === depot);
+            const zoneIds = new Set(sorties.flatMap(sortie => sortie.route.slice(1).filter(idx => this.zones[idx].isReliefZone).map(idx => this.zones[idx].id)));
+            return {
+                id: depot.id,
+                name: depot.name,
+                sorties: sorties.length,
+                zonesServed: zoneIds.size,
+                unitsShipped: sorties.reduce((sum, sortie) => sum + sortie.delivered, 0),
+                stockLeft: depot.stockLeft
+            };
+        });
+        const missionTime = Math.max(0, ...this.drones.map(drone => drone.missionTime));
+
+        const bestCost = this.convergence.length > 0 ? this.convergence[this.convergence.length - 1] : this.initialCost;
+
+        // Fairness of the share of demand each zone got, and of the units each drone carried
+        const zoneFairness = this.fairnessIndices(this.zones
+            .filter(z => z.isReliefZone && z.demand > 0)
+            .map(z => Math.min(1, z.delivered / z.demand)));
+        const droneFairness = this.fairnessIndices(this.activeDrones().map(drone => drone.totalDelivered));
+
+        return {
+            // Best plan cost per improvement iteration
+            convergence: this.convergence,
+            drones: this.drones.map(drone => ({
+                id: drone.id,
+                name: drone.name,
+                batteryCapacity: drone.batteryCapacity,
+                payloadCapacity: drone.payloadCapacity,
+                cruiseSpeed: drone.cruiseSpeed,
+                failed: drone.failed,
+                homeDepot: this.zones.find(z => z.isDepot && z.id === drone.depotId) || this.zones[0],
+                route: drone.route.map(idx => this.zones[idx]),
+                // Full flight path including every return to base and detour waypoints
+                path: this.expandPath(drone.sorties.flatMap(sortie => [...sortie.route, sortie.endDepot])),
                 totalDistance: drone.totalDistance,
+                totalEnergy: drone.totalEnergy,
+                reserveMargin: drone.reserveMargin,
                 totalDelivered: drone.totalDelivered,
-                batteryUsage: (drone.totalDistance / drone.batteryCapacity * 100).toFixed(1),
-                routeIndices: drone.route
+                batteryUsage: this.batteryUsage(drone).toFixed(1),
+                missionTime: drone.missionTime,
+                routeIndices: drone.route,
+                sorties: drone.sorties.map((sortie, s) => ({
+                    number: sortie.number,
+                    route: sortie.route.map(idx => this.zones[idx]),
+                    routeIndices: sortie.route,
+                    startDepot: this.zones[sortie.route[0]],
+                    endDepot: this.zones[sortie.endDepot],
+                    drops: sortie.drops,
+                    // Flight path of this sortie, detour waypoints included
+                    path: this.expandPath([...sortie.route, sortie.endDepot]),
+                    stops: sortie.stops.map(stop => ({
+                        zone: this.zones[stop.zoneIdx],
+                        arrival: stop.arrival,
+                        wait: stop.wait,
+                        serviceStart: stop.serviceStart,
+                        departure: stop.departure,
+                        lateness: stop.lateness
+                    })),
+                    legs: this.describeLegs(drone, s),
+                    totalDistance: sortie.distance,
+                    energyUsed: sortie.energy.total,
+                    totalDelivered: sortie.delivered,
+                    batteryUsage: (sortie.energy.total / drone.batteryCapacity * 100).toFixed(1),
+                    startTime: sortie.startTime,
+                    endTime: sortie.endTime
+                }))
             })),
             summary: {
+                strategy: this.currentStrategy().label,
                 totalDistance: totalDistance.toFixed(2),
                 zonesServed,
                 totalZones,
@@ -360,12 +3465,761 @@ class DroneDeliveryOptimizer {
                 totalCritical,
                 totalModerate,
                 totalLow,
+                partiallyServed: partialZones.length,
+                partialZones,
+                remainingDemand,
                 avgBatteryUsage: avgBatteryUsage.toFixed(1),
+                totalSorties,
+                depots,
+                lateStops,
+                totalLateness: totalLateness.toFixed(1),
+                missedWindows,
+                missionTime: missionTime.toFixed(0),
+                missionScore: this.missionScore().toFixed(1),
+                fairness: {
+                    zoneJain: zoneFairness.jain.toFixed(3),
+                    zoneGini: zoneFairness.gini.toFixed(3),
+                    droneJain: droneFairness.jain.toFixed(3),
+                    droneGini: droneFairness.gini.toFixed(3)
+                },
+                distanceLowerBound: this.distanceLowerBound().toFixed(2),
+                criticalWarnings: this.criticalWarnings(),
+                // Constraint violations found by re-checking the plan (none expected)
+                violations: this.validatePlan(),
+                improvementIterations: this.convergence.length,
+                improvement: (this.initialCost > 0 ? (this.initialCost - bestCost) / this.initialCost * 100 : 0).toFixed(1),
                 executionTime: this.executionTime.toFixed(2)
             }
         };
     }
 
+    /**
+     * The scenario as plain JSON (see loadScenario): base, forward bases,
+     * charging stations, no-fly zones, relief zones, fleet, energy model and
+     * settings. Unlimited values (stock, windows, horizon) are written as null.
+     */
+    toScenario() {
+        const finite = value => value === Infinity ? null : value;
+        const base = this.getDepots().find(depot => depot.id === 0);
+
+        const settings = {};
+        for (const [key, value] of Object.entries(this.settings)) {
+            settings[key] = Array.isArray(value) ? [...value] : finite(value);
+        }
+
+        return {
+            format: SCENARIO_FORMAT,
+            version: SCENARIO_VERSION,
+            base: base ? { lat: base.lat, lng: base.lng, stock: finite(base.stock) } : null,
+            depots: this.getDepots().filter(depot => depot.id !== 0).map(depot => ({
+                id: depot.id,
+                name: depot.name,
+                lat: depot.lat,
+                lng: depot.lng,
+                stock: finite(depot.stock)
+            })),
+            stations: this.getStations().map(station => ({
+                name: station.name,
+                lat: station.lat,
+                lng: station.lng,
+                serviceTime: station.serviceTime
+            })),
+            noFlyZones: this.noFlyZones.map(noFlyZone => ({
+                name: noFlyZone.name,
+                points: noFlyZone.points.map(point => ({ lat: point.lat, lng: point.lng }))
+            })),
+            zones: this.zones.filter(zone => zone.isReliefZone).sort((a, b) => a.id - b.id).map(zone => ({
+                id: zone.id,
+                name: zone.name,
+                priority: zone.priority,
+                demand: zone.demand,
+                lat: zone.lat,
+                lng: zone.lng,
+                earliest: zone.earliest,
+                latest: finite(zone.latest),
+                serviceTime: zone.serviceTime
+            })),
+            fleet: this.drones.map(drone => ({
+                name: drone.name,
+                batteryCapacity: drone.batteryCapacity,
+                payloadCapacity: drone.payloadCapacity,
+                cruiseSpeed: drone.cruiseSpeed,
+                reserveMargin: drone.reserveMargin,
+                depotId: drone.depotId
+            })),
+            energy: this.energyModel instanceof LinearEnergyModel ? { loadFactor: this.energyModel.loadFactor } : null,
+            settings
+        };
+    }
+
+    /**
+     * Everything wrong with a scenario, as "path: problem" messages (none
+     * when it can be loaded)
+     */
+    validateScenario(data) {
+        const problems = [];
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const check = (ok, path, message) => {
+            if (!ok) problems.push(`${path}: ${message}`);
+            return ok;
+        };
+        const checkStock = (stock, path) =>
+            check(stock === null || stock === undefined || (isNumber(stock) && stock >= 0), path, 'must be a number ≥ 0, or null for unlimited');
+        const checkName = (name, path) =>
+            check(name === undefined || typeof name === 'string', path, 'must be text');
+        const checkList = (list, path, required = false) => {
+            if (list === undefined && !required) return [];
+            return check(Array.isArray(list), path, 'must be a list') ? list : [];
+        };
+
+        if (!isObject(data)) return ['scenario: must be a JSON object'];
+        if (data.format !== SCENARIO_FORMAT) return [`format: must be "${SCENARIO_FORMAT}"`];
+        if (!Number.isInteger(data.version) || data.version < 1) return ['version: must be a positive integer'];
+        if (data.version > SCENARIO_VERSION) {
+            return [`version: ${data.version} is newer than this app supports (${SCENARIO_VERSION})`];
+        }
+
+        if (check(isObject(data.base), 'base', 'must be an object with lat and lng')) {
+            this.locationProblems(data.base, 'base').forEach(problem => problems.push(problem));
+            checkStock(data.base.stock, 'base.stock');
+        }
+
+        const depotIds = new Set([0]);
+        checkList(data.depots, 'depots').forEach((depot, i) => {
+            const path = `depots[${i}]`;
+            if (!check(isObject(depot), path, 'must be an object')) return;
+            if (check(Number.isInteger(depot.id) && depot.id < 0, `${path}.id`, 'must be a negative integer')) {
+                check(!depotIds.has(depot.id), `${path}.id`, `${depot.id} is used twice`);
+                depotIds.add(depot.id);
+            }
+            checkName(depot.name, `${path}.name`);
+            this.locationProblems(depot, path).forEach(problem => problems.push(problem));
+            checkStock(depot.stock, `${path}.stock`);
+        });
+
+        checkList(data.stations, 'stations').forEach((station, i) => {
+            const path = `stations[${i}]`;
+            if (!check(isObject(station), path, 'must be an object')) return;
+            checkName(station.name, `${path}.name`);
+            this.locationProblems(station, path).forEach(problem => problems.push(problem));
+            check(station.serviceTime === undefined || (isNumber(station.serviceTime) && station.serviceTime >= 0),
+                `${path}.serviceTime`, 'must be a number of minutes ≥ 0');
+        });
+
+        checkList(data.noFlyZones, 'noFlyZones').forEach((noFlyZone, i) => {
+            const path = `noFlyZones[${i}]`;
+            if (!check(isObject(noFlyZone), path, 'must be an object')) return;
+            checkName(noFlyZone.name, `${path}.name`);
+            const points = checkList(noFlyZone.points, `${path}.points`, true);
+            check(points.length >= 3, `${path}.points`, 'needs at least three points');
+            points.forEach((point, k) => this.locationProblems(point, `${path}.points[${k}]`).forEach(problem => problems.push(problem)));
+        });
+
+        const zoneIds = new Set();
+        checkList(data.zones, 'zones', true).forEach((zone, i) => {
+            const path = `zones[${i}]`;
+            this.zoneProblems(zone, path).forEach(problem => problems.push(problem));
+            if (zone === null || typeof zone !== 'object' || zone.id === undefined) return;
+            if (check(Number.isInteger(zone.id) && zone.id > 0, `${path}.id`, 'must be a positive integer')) {
+                check(!zoneIds.has(zone.id), `${path}.id`, `${zone.id} is used twice`);
+                zoneIds.add(zone.id);
+            }
+        });
+
+        const fleet = checkList(data.fleet, 'fleet', true);
+        if (Array.isArray(data.fleet)) check(fleet.length > 0, 'fleet', 'needs at least one drone');
+        fleet.forEach((drone, i) => {
+            const path = `fleet[${i}]`;
+            if (!check(isObject(drone), path, 'must be an object')) return;
+            check(typeof drone.name === 'string', `${path}.name`, 'must be a string');
+            ['batteryCapacity', 'payloadCapacity', 'cruiseSpeed'].forEach(field =>
+                check(isNumber(drone[field]) && drone[field] > 0, `${path}.${field}`, 'must be a number > 0'));
+            check(drone.reserveMargin === undefined || (isNumber(drone.reserveMargin) && drone.reserveMargin >= 0 && drone.reserveMargin < 1),
+                `${path}.reserveMargin`, 'must be a fraction from 0 to below 1');
+            check(drone.depotId === undefined || depotIds.has(drone.depotId), `${path}.depotId`, 'must be 0 (main base) or the id of a depot');
+        });
+
+        if (data.energy !== undefined && data.energy !== null) {
+            check(isObject(data.energy) && isNumber(data.energy.loadFactor) && data.energy.loadFactor >= 0,
+                'energy.loadFactor', 'must be a number ≥ 0');
+        }
+
+        // Allowed values of each numeric setting (every other one is a number ≥ 0)
+        const settingRanges = {
+            maxSorties: { integer: true, min: 1 },
+            maxRechargeStops: { integer: true },
+            improvementIterations: { integer: true },
+            exactMaxZones: { integer: true },
+            largeInstanceZones: { integer: true },
+            candidateCount: { integer: true, min: 1 },
+            minServedFraction: { max: 1 }
+        };
+        const rangeMessage = ({ integer = false, min = 0, max = Infinity }) =>
+            max < Infinity ? `must be a fraction from ${min} to ${max}` : `must be a ${integer ? 'whole number' : 'number'} ≥ ${min}`;
+        const inRange = (value, { integer = false, min = 0, max = Infinity }) =>
+            isNumber(value) && (!integer || Number.isInteger(value)) && value >= min && value <= max;
+
+        if (data.settings !== undefined && check(isObject(data.settings), 'settings', 'must be an object')) {
+            for (const [key, value] of Object.entries(data.settings)) {
+                const path = `settings.${key}`;
+                const current = this.settings[key];
+                if (current === undefined) {
+                    problems.push(`${path}: unknown setting`);
+                } else if (Array.isArray(current)) {
+                    check(Array.isArray(value) && value.length === current.length && value.every(v => inRange(v, {})),
+                        path, `must be a list of ${current.length} numbers ≥ 0`);
+                } else if (typeof current === 'number') {
+                    const unlimited = key === 'missionHorizon' || key === 'largeInstanceZones';
+                    const range = settingRanges[key] || {};
+                    check(inRange(value, range) || (value === null && unlimited), path,
+                        unlimited ? `${rangeMessage(range)}, or null for unlimited` : rangeMessage(range));
+                } else {
+                    check(typeof value === typeof current, path, `must be a ${typeof current}`);
+                }
+            }
+            const { strategy, balanceMode } = data.settings;
+            if (typeof strategy === 'string') {
+                check(this.strategies.has(strategy), 'settings.strategy', `must be one of ${[...this.strategies.keys()].join(', ')}`);
+            }
+            if (typeof balanceMode === 'string') {
+                check(['none', 'minMax', 'workload'].includes(balanceMode), 'settings.balanceMode', 'must be none, minMax or workload');
+            }
+        }
+
+        return problems;
+    }
+
+    /**
+     * Problems with the lat / lng of a scenario entry
+     */
+    locationProblems(point, path) {
+        const problems = [];
+        if (point === null || typeof point !== 'object') return [`${path}: must be an object with lat and lng`];
+        if (typeof point.lat !== 'number' || !(Math.abs(point.lat) <= 90)) {
+            problems.push(`${path}.lat: must be a latitude from -90 to 90`);
+        }
+        if (typeof point.lng !== 'number' || !(Math.abs(point.lng) <= 180)) {
+            problems.push(`${path}.lng: must be a longitude from -180 to 180`);
+        }
+        return problems;
+    }
+
+    /**
+     * Problems with a relief zone description ({ name, lat, lng, priority,
+     * demand, earliest, latest, serviceTime }; name and the last three are optional)
+     */
+    zoneProblems(zone, path) {
+        if (zone === null || typeof zone !== 'object') return [`${path}: must be an object`];
+
+        const problems = this.locationProblems(zone, path);
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        if (zone.name !== undefined && zone.name !== null && typeof zone.name !== 'string') {
+            problems.push(`${path}.name: must be text`);
+        }
+        if (![1, 2, 3].includes(zone.priority)) {
+            problems.push(`${path}.priority: must be 1 (critical), 2 (moderate) or 3 (low)`);
+        }
+        if (!Number.isInteger(zone.demand) || zone.demand < 0) {
+            problems.push(`${path}.demand: must be a whole number of units ≥ 0`);
+        }
+        if (zone.earliest !== undefined && !(isNumber(zone.earliest) && zone.earliest >= 0)) {
+            problems.push(`${path}.earliest: must be minutes ≥ 0`);
+        }
+        if (zone.latest !== undefined && zone.latest !== null &&
+            !(isNumber(zone.latest) && zone.latest >= (isNumber(zone.earliest) ? zone.earliest : 0))) {
+            problems.push(`${path}.latest: must be minutes no earlier than earliest, or null for open`);
+        }
+        if (zone.serviceTime !== undefined && !(isNumber(zone.serviceTime) && zone.serviceTime >= 0)) {
+            problems.push(`${path}.serviceTime: must be minutes ≥ 0`);
+        }
+        return problems;
+    }
+
+    /**
+     * Replace the base, depots, stations, no-fly zones, relief zones, fleet,
+     * energy model and settings with those of a scenario. Throws listing
+     * the first problems when it does not validate.
+     */
+    loadScenario(data) {
+        const problems = this.validateScenario(data);
+        if (problems.length > 0) {
+            const more = problems.length > 3 ? ` (and ${problems.length - 3} more)` : '';
+            throw new Error(`Invalid scenario: ${problems.slice(0, 3).join('; ')}${more}`);
+        }
+
+        const unlimited = value => value === null || value === undefined ? Infinity : value;
+
+        // Whatever the scenario leaves out is the default, not what the last one had
+        this.clear();
+        this.resetSettings();
+        this.energyModel = new LinearEnergyModel();
+        this.setBase(data.base.lat, data.base.lng, unlimited(data.base.stock));
+
+        // Depots keep their ids where those are free negative numbers, else get fresh ones; drones follow them
+        const depotIds = new Map([[0, 0]]);
+        (data.depots || []).forEach(depot => {
+            const added = this.addDepot(depot.lat, depot.lng, depot.name, unlimited(depot.stock));
+            if (Number.isInteger(depot.id) && depot.id < 0 && !this.getDepots().some(other => other.id === depot.id)) {
+                added.id = depot.id;
+            }
+            depotIds.set(depot.id, added.id);
+        });
+        (data.stations || []).forEach(station => {
+            this.addStation(station.lat, station.lng, station.serviceTime === undefined ? 10 : station.serviceTime, station.name);
+        });
+        (data.noFlyZones || []).forEach(noFlyZone => {
+            this.addNoFlyZone(noFlyZone.points.map(point => ({ lat: point.lat, lng: point.lng })), noFlyZone.name);
+        });
+        // Zones keep the ids routes refer to; the others are numbered after the highest of those
+        this.nextZoneId = Math.max(0, ...data.zones.filter(description => description.id !== undefined).map(description => description.id)) + 1;
+        data.zones.forEach(description => {
+            const zone = this.zoneFromDescription(description);
+            if (description.id === undefined) {
+                this.addZone(zone);
+            } else {
+                zone.id = description.id;
+                this.zones.push(zone);
+            }
+        });
+
+        data.fleet.forEach((config, i) => {
+            const drone = new Drone(i + 1, config.batteryCapacity, config.payloadCapacity, config.cruiseSpeed, config.name);
+            drone.reserveMargin = config.reserveMargin || 0;
+            drone.depotId = depotIds.get(config.depotId === undefined ? 0 : config.depotId);
+            this.addDrone(drone);
+        });
+
+        if (data.energy) {
+            this.energyModel = new LinearEnergyModel(data.energy.loadFactor);
+        }
+
+        const settings = {};
+        for (const [key, value] of Object.entries(data.settings || {})) {
+            settings[key] = value === null ? Infinity : value;
+        }
+        this.configure(settings);
+    }
+
+    /**
+     * Zone for a validated zone description (see zoneProblems)
+     */
+    zoneFromDescription(zone) {
+        return new Zone(0, zone.priority, zone.demand, zone.lat, zone.lng, {
+            earliest: zone.earliest || 0,
+            latest: zone.latest === null || zone.latest === undefined ? Infinity : zone.latest,
+            serviceTime: zone.serviceTime || 0,
+            name: zone.name || null
+        });
+    }
+
+    /**
+     * Relief zones from GeoJSON Points (a FeatureCollection, one Feature or a
+     * bare geometry). Properties: priority (1-3, or critical / moderate /
+     * low), demand, and optionally name, earliest, latest and serviceTime.
+     * Returns { zones, problems }: the zone descriptions that validate, and
+     * why the other features were left out
+     */
+    zonesFromGeoJson(geojson) {
+        const zones = [];
+        const problems = [];
+
+        if (geojson === null || typeof geojson !== 'object') {
+            return { zones, problems: ['GeoJSON: must be a JSON object'] };
+        }
+        const features = geojson.type === 'FeatureCollection' ? geojson.features :
+            geojson.type === 'Feature' ? [geojson] :
+            [{ type: 'Feature', geometry: geojson, properties: {} }];
+        if (!Array.isArray(features)) {
+            return { zones, problems: ['features: must be a list'] };
+        }
+
+        features.forEach((feature, i) => {
+            const path = `features[${i}]`;
+            const geometry = feature && feature.geometry;
+            const properties = (feature && feature.properties) || {};
+            if (properties.kind !== undefined && properties.kind !== 'zone') return; // Sorties of a route export
+            if (!geometry || geometry.type !== 'Point') {
+                problems.push(`${path}: ${geometry ? geometry.type : 'missing'} geometry skipped, zones must be Points`);
+                return;
+            }
+            const [lng, lat] = Array.isArray(geometry.coordinates) ? geometry.coordinates : [];
+            const zone = {
+                name: properties.name,
+                lat,
+                lng,
+                priority: this.parsePriority(properties.priority),
+                demand: properties.demand,
+                earliest: properties.earliest,
+                latest: properties.latest,
+                serviceTime: properties.serviceTime
+            };
+
+            const zoneProblems = this.zoneProblems(zone, path);
+            if (zoneProblems.length > 0) {
+                zoneProblems.forEach(problem => problems.push(problem));
+            } else {
+                zones.push(zone);
+            }
+        });
+
+        return { zones, problems };
+    }
+
+    /**
+     * Priority from a file value: 1-3 (as number or text) or critical /
+     * moderate / low; anything else is returned as is for validation to reject
+     */
+    parsePriority(value) {
+        if (typeof value !== 'string') return value;
+        const names = { critical: 1, moderate: 2, low: 3 };
+        const text = value.trim().toLowerCase();
+        return names[text] || (text === '' ? value : Number(text));
+    }
+
+    /**
+     * Rows of a CSV text as lists of strings. Quoted fields may contain the
+     * delimiter, doubled quotes and line breaks; the delimiter is a comma, or
+     * a semicolon when the first line has more of those. Blank lines are dropped.
+     * Complexity: O(length)
+     */
+    parseCsv(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        row.push(field);
+        rows.push(row);
+
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    }
+
+    /**
+     * Column index of each zone field in a CSV header, matched on common
+     * column names or words in them (-1 when there is none)
+     */
+    guessCsvColumns(header) {
+        const aliases = {
+            name: ['name', 'camp', 'site', 'zone', 'location'],
+            lat: ['lat', 'latitude', 'y'],
+            lng: ['lng', 'lon', 'long', 'longitude', 'x'],
+            priority: ['priority', 'urgency', 'severity'],
+            demand: ['demand', 'units', 'quantity', 'qty', 'need'],
+            earliest: ['earliest', 'open', 'from'],
+            latest: ['latest', 'close', 'until', 'deadline'],
+            serviceTime: ['servicetime', 'service', 'dropoff', 'dwell']
+        };
+        const names = header.map(cell => cell.trim().toLowerCase().replace(/[^a-z]/g, ''));
+        const words = header.map(cell => cell.toLowerCase().split(/[^a-z]+/));
+
+        // The whole name first ("servicetime"), then any word of it ("Camp Name")
+        const columns = {};
+        for (const [field, candidates] of Object.entries(aliases)) {
+            const exact = names.findIndex(name => candidates.includes(name));
+            columns[field] = exact >= 0 ? exact : words.findIndex(list => list.some(word => candidates.includes(word)));
+        }
+        return columns;
+    }
+
+    /**
+     * Check CSV data rows (header excluded) as relief zones, with columns
+     * mapping each zone field to a column index (-1 = not in the file; name,
+     * the window and the service time are optional). Rows repeating the name
+     * or position of an earlier row or an existing zone are duplicates.
+     * Returns { zones, report }: the descriptions of the valid rows, and one
+     * { row, name, status: 'ok' | 'invalid' | 'duplicate', problems } per row,
+     * counting the header as row 1 and skipping blank lines
+     */
+    zonesFromCsv(rows, columns) {
+        const zones = [];
+        const report = [];
+        const key = (lat, lng) => `${lat.toFixed(5)},${lng.toFixed(5)}`;
+        const names = new Set();
+        const positions = new Set();
+        this.zones.filter(zone => zone.isReliefZone).forEach(zone => {
+            if (zone.name) names.add(zone.name.toLowerCase());
+            positions.add(key(zone.lat, zone.lng));
+        });
+
+        rows.forEach((cells, i) => {
+            const cell = field => columns[field] >= 0 && columns[field] < cells.length ? cells[columns[field]].trim() : '';
+            const number = field => cell(field) === '' ? undefined : Number(cell(field));
+
+            const zone = {
+                name: cell('name') || null,
+                lat: cell('lat') === '' ? undefined : Number(cell('lat')),
+                lng: cell('lng') === '' ? undefined : Number(cell('lng')),
+                priority: this.parsePriority(cell('priority')),
+                demand: number('demand'),
+                earliest: number('earliest'),
+                latest: number('latest'),
+                serviceTime: number('serviceTime')
+            };
+            const entry = { row: i + 2, name: zone.name, status: 'ok', problems: [] };
+
+            // Messages without the path: the report already says which row
+            entry.problems = this.zoneProblems(zone, '').map(problem => problem.replace(/^\.?/, ''));
+            if (entry.problems.length > 0) {
+                entry.status = 'invalid';
+            } else if (zone.name && names.has(zone.name.toLowerCase())) {
+                entry.status = 'duplicate';
+                entry.problems.push(`name "${zone.name}" is already taken`);
+            } else if (positions.has(key(zone.lat, zone.lng))) {
+                entry.status = 'duplicate';
+                entry.problems.push('another zone is at the same position');
+            } else {
+                if (zone.name) names.add(zone.name.toLowerCase());
+                positions.add(key(zone.lat, zone.lng));
+                zones.push(zone);
+            }
+            report.push(entry);
+        });
+
+        return { zones, report };
+    }
+
+    /**
+     * The current plan as a GeoJSON FeatureCollection: a LineString per
+     * sortie (detours included) carrying its drone's figures, and the relief
+     * zones as Points with what they received
+     */
+    routesToGeoJson() {
+        const position = point => [Number(point.lng.toFixed(6)), Number(point.lat.toFixed(6))];
+        const features = [];
+
+        this.drones.forEach(drone => drone.sorties.forEach(sortie => {
+            features.push({
+                type: 'Feature',
+                geometry: {
+                    type: 'LineString',
+                    coordinates: this.expandPath([...sortie.route, sortie.endDepot]).map(position)
+                },
+                properties: {
+                    kind: 'sortie',
+                    droneId: drone.id,
+                    drone: drone.name,
+                    payloadCapacity: drone.payloadCapacity,
+                    batteryCapacity: drone.batteryCapacity,
+                    cruiseSpeed: drone.cruiseSpeed,
+                    droneDistanceKm: Number(drone.totalDistance.toFixed(2)),
+                    droneDelivered: drone.totalDelivered,
+                    sortie: sortie.number,
+                    stops: sortie.route.filter(idx => this.zones[idx].isReliefZone).map(idx => this.zones[idx].id),
+                    distanceKm: Number(sortie.distance.toFixed(2)),
+                    delivered: sortie.delivered,
+                    energyUsed: Number(sortie.energy.total.toFixed(2)),
+                    startTime: Number(sortie.startTime.toFixed(1)),
+                    endTime: Number(sortie.endTime.toFixed(1))
+                }
+            });
+        }));
+
+        this.zones.filter(zone => zone.isReliefZone).forEach(zone => {
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: position(zone) },
+                properties: {
+                    kind: 'zone',
+                    id: zone.id,
+                    name: zone.name,
+                    priority: zone.priority,
+                    demand: zone.demand,
+                    delivered: zone.delivered
+                }
+            });
+        });
+
+        return { type: 'FeatureCollection', features };
+    }
+
+    /**
+     * Load manifest of a drone from getResults(): a row per stop of each
+     * sortie (departure and return included) with the units dropped there,
+     * the units still on board, and the distance flown over the whole
+     * mission and the battery left on arrival
+     */
+    loadManifest(drone) {
+        const rows = [];
+        let flown = 0;
+
+        drone.sorties.forEach(sortie => {
+            const nodes = [...sortie.route, sortie.endDepot];
+            const first = sortie.legs[0];
+            const startCharge = first ? first.remainingCharge + first.energy : drone.batteryCapacity;
+
+            nodes.forEach((node, k) => {
+                // Leg k - 1 and stop k - 1 both end at node k
+                const leg = k > 0 ? sortie.legs[k - 1] : null;
+                const stop = k > 0 ? sortie.stops[k - 1] : null;
+                if (leg) flown += leg.distance;
+
+                rows.push({
+                    sortie: sortie.number,
+                    stop: k,
+                    name: node.label,
+                    type: node.isDepot ? 'depot' : node.isStation ? 'station' : node.isPosition ? 'in flight' : 'zone',
+                    lat: node.lat,
+                    lng: node.lng,
+                    time: k === 0 ? sortie.startTime : stop ? stop.arrival : sortie.endTime,
+                    drop: k < sortie.route.length ? sortie.drops[k] || 0 : 0,
+                    onBoard: k < sortie.legs.length ? sortie.legs[k].payload : 0,
+                    legDistance: leg ? leg.distance : 0,
+                    cumulativeDistance: flown,
+                    batteryPercent: (leg ? leg.remainingCharge : startCharge) / drone.batteryCapacity * 100
+                });
+            });
+        });
+
+        return rows;
+    }
+
+    /**
+     * A drone's load manifest (see loadManifest) as CSV
+     */
+    manifestCsv(drone) {
+        const header = ['Sortie', 'Stop', 'Name', 'Type', 'Latitude', 'Longitude', 'Time (min)', 'Drop (units)',
+            'On board (units)', 'Leg (km)', 'Cumulative (km)', 'Battery (%)'];
+        const rows = this.loadManifest(drone).map(row => [
+            row.sortie, row.stop, row.name, row.type, row.lat.toFixed(6), row.lng.toFixed(6), row.time.toFixed(1),
+            row.drop, row.onBoard, row.legDistance.toFixed(2), row.cumulativeDistance.toFixed(2), row.batteryPercent.toFixed(1)
+        ]);
+        return this.formatCsv([header, ...rows]);
+    }
+
+    /**
+     * Rows of cells as CSV text (RFC 4180, the format parseCsv reads)
+     */
+    formatCsv(rows) {
+        const cell = value => {
+            const text = String(value);
+            return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * One-line description of a manifest row for waypoint files
+     */
+    describeManifestRow(row) {
+        const parts = [`${row.type}`, `T+${row.time.toFixed(0)} min`];
+        if (row.drop > 0) parts.push(`drop ${row.drop} units`);
+        parts.push(`${row.onBoard} units on board`, `${row.cumulativeDistance.toFixed(2)} km flown`, `${row.batteryPercent.toFixed(0)}% battery`);
+        return parts.join(', ');
+    }
+
+    /**
+     * A drone's route from getResults() as KML: a folder per sortie with the
+     * flight line (detours included) and a placemark per stop
+     */
+    droneKml(drone) {
+        const xml = text => this.escapeXml(text);
+        const coordinates = point => `${point.lng.toFixed(6)},${point.lat.toFixed(6)},0`;
+        const manifest = this.loadManifest(drone);
+
+        const folders = drone.sorties.map(sortie => {
+            const placemarks = manifest.filter(row => row.sortie === sortie.number).map(row => `
+      <Placemark>
+        <name>${row.stop}. ${xml(row.name)}</name>
+        <description>${xml(this.describeManifestRow(row))}</description>
+        <Point><coordinates>${coordinates(row)}</coordinates></Point>
+      </Placemark>`).join('');
+
+            return `
+    <Folder>
+      <name>Sortie ${sortie.number}</name>
+      <Placemark>
+        <name>Sortie ${sortie.number} flight path</name>
+        <description>${sortie.totalDistance.toFixed(2)} km, ${sortie.totalDelivered} units</description>
+        <LineString>
+          <tessellate>1</tessellate>
+          <coordinates>${sortie.path.map(coordinates).join(' ')}</coordinates>
+        </LineString>
+      </Placemark>${placemarks}
+    </Folder>`;
+        }).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${xml(drone.name)}</name>${folders}
+  </Document>
+</kml>
+`;
+    }
+
+    /**
+     * A drone's route from getResults() as GPX 1.1: a waypoint per stop and
+     * a route per sortie whose points include the no-fly detours
+     */
+    droneGpx(drone) {
+        const xml = text => this.escapeXml(text);
+        const position = point => `lat="${point.lat.toFixed(6)}" lon="${point.lng.toFixed(6)}"`;
+
+        const waypoints = this.loadManifest(drone).map(row => `
+  <wpt ${position(row)}>
+    <name>S${row.sortie}-${row.stop} ${xml(row.name)}</name>
+    <desc>${xml(this.describeManifestRow(row))}</desc>
+    <type>${row.type}</type>
+  </wpt>`).join('');
+
+        const routes = drone.sorties.map(sortie => {
+            const points = sortie.path.map(point => `
+    <rtept ${position(point)}><name>${point.isWaypoint ? 'Detour' : xml(point.label)}</name></rtept>`).join('');
+            return `
+  <rte>
+    <name>Sortie ${sortie.number}</name>
+    <number>${sortie.number}</number>${points}
+  </rte>`;
+        }).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Drone Delivery Optimization System" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${xml(drone.name)}</name></metadata>${waypoints}${routes}
+</gpx>
+`;
+    }
+
+    /**
+     * Text safe to put in XML content and attributes
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
     /**
      * Clear all data
      */
@@ -373,12 +4227,24 @@ class DroneDeliveryOptimizer {
         this.zones = [];
         this.drones = [];
         this.distanceMatrix = [];
+        this.legWaypoints = [];
+        this.largeInstance = false;
+        this.spatialIndex = [];
+        this.detourGraph = null;
+        this.legCache = new Map();
+        this.noFlyZones = [];
         this.baseLocation = null;
         this.executionTime = 0;
+        this.nextZoneId = 1;
+        this.confirmedDrops.clear();
+        this.confirmedLoads.clear();
     }
 }
 
 // Export for use in app.js
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { DroneDeliveryOptimizer, Zone, Drone };
+    module.exports = {
+        DroneDeliveryOptimizer, Zone, Depot, ChargingStation, DronePosition, Drone, Sortie, NoFlyZone, LinearEnergyModel,
+        NearestNeighborStrategy, SavingsStrategy, SweepStrategy, KMeansStrategy, ZoneGenerator, SpatialIndex, seededRandom
+    };
 }
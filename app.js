@@ -10,16 +10,37 @@ let baseMarker;
 let zoneMarkers = [];
 let routePolylines = [];
 let droneMarkers = []; // New: Track animated drone markers
+let droneAnimations = []; // Progress of each drone along its path ({ droneId, marker, coordinates, flownKm, ... })
+let failedDroneIds = [];
 let isAddingZone = false;
 let animationActive = false; // Flag to prevent multiple animations
+let fleetConfig = []; // Editable fleet: one entry per airframe
+let noFlyLayers = [];
+let isDrawingNoFly = false;
+let noFlyDraft = []; // Vertices of the polygon being drawn
+let noFlyDraftLayer = null;
+let depotMarkers = []; // Forward base markers ({ marker, depot })
+let isPlacingDepot = false;
+let stationMarkers = [];
+let isPlacingStation = false;
+let csvImport = null; // CSV being mapped and checked ({ fileName, header, rows, columns })
+let lastResults = null; // Plan shown in the results card, for the export menu
+let planViolations = []; // What the plan check found wrong with the plan shown (see validatePlan)
+let cancelRun = null; // Stops the optimizer run in progress (see runOptimization)
+let previewLayers = []; // Best routes so far, drawn while the optimizer runs
+let editHistory = { undo: [], redo: [] }; // Map edits that can be undone and redone ({ label, undo, redo })
+let reoptimizeTimer = null; // Pending automatic re-optimization after an edit
+let activeScenarioId = null; // Saved scenario the workspace is kept in (see the Scenarios panel), null while unsaved
+let workspaceRuns = []; // Run history of an unsaved workspace
+let workspacePlan = null; // Plan shown on the map (see exportPlan), kept with the workspace
+let workspaceSaveTimer = null;
 
 // Location presets
 const locationPresets = {
     pakistan: { lat: 34.0151, lng: 73.0169, zoom: 9, name: '2005 Earthquake Region (Muzaffarabad)' },
     islamabad: { lat: 33.6844, lng: 73.0479, zoom: 12, name: 'Islamabad' },
     lahore: { lat: 31.5204, lng: 74.3587, zoom: 12, name: 'Lahore' },
-    karachi: { lat: 24.8607, lng: 67.0011, zoom: 12, name: 'Karachi' },
-    custom: { lat: 33.6844, lng: 73.0479, zoom: 10, name: 'Custom Location' }
+    karachi: { lat: 24.8607, lng: 67.0011, zoom: 12, name: 'Karachi' }
 };
 
 // Color schemes for different priorities and drones
@@ -29,6 +50,16 @@ const priorityColors = {
     3: '#10b981' // Low - Green
 };
 
+// Airframe templates for the fleet editor
+const droneTemplates = {
+    standard: { label: 'Standard', batteryCapacity: 180, payloadCapacity: 80, cruiseSpeed: 60, reserve: 10 },
+    heavy: { label: 'Heavy-lift', batteryCapacity: 120, payloadCapacity: 160, cruiseSpeed: 45, reserve: 15 },
+    longRange: { label: 'Long-range', batteryCapacity: 320, payloadCapacity: 50, cruiseSpeed: 80, reserve: 10 }
+};
+
+// Route colours per depot (main base first) when more than one depot is in use
+const depotColors = ['#2563eb', '#ea580c', '#7c3aed', '#0d9488', '#be123c'];
+
 const droneColors = [
     '#2563eb', '#7c3aed', '#db2777', '#ea580c', '#65a30d',
     '#0891b2', '#4f46e5', '#be123c', '#c026d3', '#0d9488'
@@ -37,19 +68,36 @@ const droneColors = [
 // Animation settings
 const ANIMATION_SPEED = 50; // ms per km (adjust for faster/slower)
 
+// Route colours of the strategies in compare mode
+const strategyColors = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2'];
+
+// Map editing
+const EDIT_HISTORY_LIMIT = 100; // Edits kept for undo
+const REOPTIMIZE_DELAY = 800; // ms after the last edit before re-optimizing automatically
+
+// Browser storage of the workspace and the saved scenarios
+const WORKSPACE_KEY = 'droneRelief.workspace';
+const SCENARIOS_KEY = 'droneRelief.scenarios';
+const WORKSPACE_SAVE_DELAY = 1000; // ms after the last change before saving the workspace
+const RUN_HISTORY_LIMIT = 20; // Runs kept per scenario
+
 /**
  * Initialize the application
  */
 document.addEventListener('DOMContentLoaded', function() {
     initializeMap();
     initializeOptimizer();
+    initializeFleet();
     attachEventListeners();
 
-    // Load default location
-    changeLocation('pakistan');
-
-    // Show welcome message
-    showToast('Welcome! Select a disaster area and configure your drone fleet.', 'info');
+    // Pick up where the last session left off, or start on the default location
+    if (restoreWorkspace()) {
+        showToast('Workspace restored from your last session', 'success');
+    } else {
+        changeLocation('pakistan');
+        showToast('Welcome! Select a disaster area and configure your drone fleet.', 'info');
+    }
+    renderScenariosPanel();
 });
 
 /**
@@ -78,6 +126,115 @@ function initializeMap() {
  */
 function initializeOptimizer() {
     optimizer = new DroneDeliveryOptimizer();
+
+    // Offer every registered solver strategy
+    const select = document.getElementById('solverStrategy');
+    optimizer.strategies.forEach(strategy => {
+        const option = document.createElement('option');
+        option.value = strategy.name;
+        option.textContent = strategy.label;
+        select.appendChild(option);
+    });
+    select.value = optimizer.settings.strategy;
+}
+
+/**
+ * Start with three standard drones
+ */
+function initializeFleet() {
+    fleetConfig = [];
+    for (let i = 0; i < 3; i++) {
+        addFleetDrone('standard');
+    }
+}
+
+/**
+ * Add a drone built from a template to the fleet editor
+ */
+function addFleetDrone(templateKey) {
+    const template = droneTemplates[templateKey];
+    const sameType = fleetConfig.filter(d => d.template === templateKey).length;
+
+    fleetConfig.push({
+        template: templateKey,
+        name: `${template.label} ${sameType + 1}`,
+        batteryCapacity: template.batteryCapacity,
+        payloadCapacity: template.payloadCapacity,
+        cruiseSpeed: template.cruiseSpeed,
+        reserve: template.reserve, // % of battery kept in reserve
+        depotId: 0
+    });
+
+    renderFleetEditor();
+}
+
+/**
+ * Remove a drone from the fleet editor
+ */
+function removeFleetDrone(index) {
+    if (fleetConfig.length <= 1) {
+        showToast('The fleet needs at least one drone!', 'warning');
+        return;
+    }
+
+    fleetConfig.splice(index, 1);
+    renderFleetEditor();
+}
+
+/**
+ * Render one editable row per drone
+ */
+function renderFleetEditor() {
+    const fleetList = document.getElementById('fleetList');
+    fleetList.innerHTML = '';
+
+    fleetConfig.forEach((config, index) => {
+        const row = document.createElement('div');
+        row.className = 'fleet-row';
+        row.style.borderLeft = `4px solid ${droneColors[index % droneColors.length]}`;
+        row.innerHTML = `
+            <div class="fleet-name">
+                <label>Name</label>
+                <input type="text" class="input-field" data-field="name">
+            </div>
+            <button class="btn-icon" title="Remove drone">✕</button>
+            <div>
+                <label>Battery (km)</label>
+                <input type="number" class="input-field" data-field="batteryCapacity" value="${config.batteryCapacity}" min="10" max="1000">
+            </div>
+            <div>
+                <label>Payload (units)</label>
+                <input type="number" class="input-field" data-field="payloadCapacity" value="${config.payloadCapacity}" min="1" max="500">
+            </div>
+            <div>
+                <label>Speed (km/h)</label>
+                <input type="number" class="input-field" data-field="cruiseSpeed" value="${config.cruiseSpeed}" min="5" max="300">
+            </div>
+            <div>
+                <label>Reserve (%)</label>
+                <input type="number" class="input-field" data-field="reserve" value="${config.reserve}" min="0" max="50">
+            </div>
+            <div class="fleet-depot">
+                <label>Depot</label>
+                <select class="input-field" data-field="depotId">
+                    ${optimizer.getDepots().map(depot => `<option value="${depot.id}" ${depot.id === config.depotId ? 'selected' : ''}>${escapeHtml(depot.name)}</option>`).join('')}
+                </select>
+            </div>
+        `;
+
+        // Set as a property so names with quotes do not break the markup
+        row.querySelector('[data-field="name"]').value = config.name;
+
+        row.querySelectorAll('input, select').forEach(input => {
+            input.addEventListener('change', function() {
+                const field = this.dataset.field;
+                config[field] = field === 'name' ? this.value : parseFloat(this.value);
+            });
+        });
+        row.querySelector('.btn-icon').addEventListener('click', () => removeFleetDrone(index));
+
+        fleetList.appendChild(row);
+    });
 }
 
 /**
@@ -87,21 +244,95 @@ function attachEventListeners() {
     document.getElementById('locationSelect').addEventListener('change', function() {
         changeLocation(this.value);
     });
+    document.getElementById('setBaseBtn').addEventListener('click', setCustomBase);
+
+    document.getElementById('saveScenarioBtn').addEventListener('click', saveScenario);
+    document.getElementById('loadScenarioBtn').addEventListener('click', function() {
+        document.getElementById('scenarioFile').click();
+    });
+    document.getElementById('scenarioFile').addEventListener('change', loadScenarioFile);
+    document.getElementById('saveNamedScenarioBtn').addEventListener('click', saveScenarioAs);
+    document.getElementById('exportRoutesBtn').addEventListener('click', exportRoutes);
+    document.getElementById('exportReportBtn').addEventListener('click', exportMissionReport);
+    document.getElementById('exportManifestsBtn').addEventListener('click', exportManifests);
+    document.getElementById('exportKmlBtn').addEventListener('click', () => exportWaypoints('kml'));
+    document.getElementById('exportGpxBtn').addEventListener('click', () => exportWaypoints('gpx'));
+
+    document.getElementById('addDroneBtn').addEventListener('click', function() {
+        addFleetDrone(document.getElementById('droneTemplate').value);
+    });
+
+    document.getElementById('placeDepotBtn').addEventListener('click', toggleDepotPlacement);
+    document.getElementById('clearDepotsBtn').addEventListener('click', clearForwardBases);
+
+    document.getElementById('placeStationBtn').addEventListener('click', toggleStationPlacement);
+    document.getElementById('clearStationsBtn').addEventListener('click', clearStations);
+
+    document.getElementById('drawNoFlyBtn').addEventListener('click', toggleNoFlyDrawing);
+    document.getElementById('importNoFlyBtn').addEventListener('click', function() {
+        document.getElementById('noFlyFile').click();
+    });
+    document.getElementById('noFlyFile').addEventListener('change', importNoFlyZones);
+    document.getElementById('clearNoFlyBtn').addEventListener('click', clearNoFlyZones);
 
     document.getElementById('generateZones').addEventListener('click', generateRandomZones);
-    document.getElementById('optimizeBtn').addEventListener('click', optimizeRoutes);
-    document.getElementById('clearBtn').addEventListener('click', clearAll);
+    document.getElementById('newSeedBtn').addEventListener('click', drawNewSeed);
+    document.getElementById('importCsvBtn').addEventListener('click', function() {
+        document.getElementById('csvFile').click();
+    });
+    document.getElementById('csvFile').addEventListener('change', openCsvFile);
+    document.getElementById('compareBtn').addEventListener('click', compareStrategies);
+    document.getElementById('exactBtn').addEventListener('click', () => optimizeRoutes(true));
+    document.getElementById('optimizeBtn').addEventListener('click', () => optimizeRoutes());
+    document.getElementById('cancelRunBtn').addEventListener('click', () => {
+        if (cancelRun) cancelRun();
+    });
+    document.getElementById('replanBtn').addEventListener('click', replanMission);
+    document.getElementById('clearBtn').addEventListener('click', () => {
+        clearAll();
+        detachWorkspace();
+    });
+
+    document.getElementById('undoBtn').addEventListener('click', () => stepHistory());
+    document.getElementById('redoBtn').addEventListener('click', () => stepHistory(true));
+    document.addEventListener('keydown', event => {
+        // Leave typing alone, and the scenario while the optimizer works on it
+        if (!(event.ctrlKey || event.metaKey) || cancelRun) return;
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            stepHistory();
+        } else if (key === 'y' || key === 'z') {
+            stepHistory(true);
+        } else {
+            return;
+        }
+        event.preventDefault();
+    });
+
+    // The workspace is saved as the page goes away, besides after edits and runs
+    window.addEventListener('pagehide', saveWorkspace);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') saveWorkspace();
+    });
 }
 
 /**
  * Change location on map
  */
 function changeLocation(locationKey) {
+    // A custom location keeps the scenario: the base moves to the coordinates typed in
+    const customForm = document.getElementById('customLocation');
+    customForm.style.display = locationKey === 'custom' ? 'block' : 'none';
+    if (locationKey === 'custom') return;
+
     const location = locationPresets[locationKey];
     map.setView([location.lat, location.lng], location.zoom);
 
     // Clear existing markers and set new base
     clearAll();
+    detachWorkspace();
     setBaseLocation(location.lat, location.lng);
 
     showToast(`Location changed to ${location.name}`, 'success');
@@ -110,7 +341,17 @@ function changeLocation(locationKey) {
 /**
  * Set base location
  */
-function setBaseLocation(lat, lng) {
+function setBaseLocation(lat, lng, stock = Infinity) {
+    // Set base in optimizer
+    optimizer.setBase(lat, lng, stock);
+    drawBaseMarker(lat, lng);
+    renderFleetEditor();
+}
+
+/**
+ * Base marker; drag it to move the base
+ */
+function drawBaseMarker(lat, lng) {
     // Remove old base marker
     if (baseMarker) {
         map.removeLayer(baseMarker);
@@ -124,10 +365,15 @@ function setBaseLocation(lat, lng) {
         iconAnchor: [20, 40]
     });
 
-    baseMarker = L.marker([lat, lng], {
+    const marker = L.marker([lat, lng], {
         icon: baseIcon,
-        draggable: false
+        draggable: true
     }).addTo(map);
+    baseMarker = marker;
+    marker.on('dragend', () => {
+        const position = marker.getLatLng();
+        moveBase(position.lat, position.lng);
+    });
 
     baseMarker.bindPopup(`
         <div style="text-align: center;">
@@ -137,8 +383,179 @@ function setBaseLocation(lat, lng) {
         </div>
     `);
 
-    // Set base in optimizer
-    optimizer.setBase(lat, lng);
+    document.getElementById('customLat').value = lat.toFixed(4);
+    document.getElementById('customLng').value = lng.toFixed(4);
+}
+
+/**
+ * Move the main base as an undoable edit; it keeps its stock
+ */
+function moveBase(lat, lng) {
+    const from = { lat: optimizer.baseLocation.lat, lng: optimizer.baseLocation.lng };
+    if (from.lat === lat && from.lng === lng) return;
+
+    placeBase(lat, lng);
+    recordEdit('Move base', () => placeBase(from.lat, from.lng), () => placeBase(lat, lng));
+}
+
+function placeBase(lat, lng) {
+    const base = optimizer.getDepots().find(depot => depot.id === 0);
+    setBaseLocation(lat, lng, base.stock);
+    invalidatePlan('Base moved');
+}
+
+/**
+ * Put the base at the coordinates typed in for a custom location
+ */
+function setCustomBase() {
+    const lat = parseFloat(document.getElementById('customLat').value);
+    const lng = parseFloat(document.getElementById('customLng').value);
+    if (!(lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180)) {
+        showToast('Enter a latitude between -90 and 90 and a longitude between -180 and 180', 'error');
+        return;
+    }
+
+    if (baseMarker) {
+        moveBase(lat, lng);
+    } else {
+        setBaseLocation(lat, lng);
+    }
+    map.panTo([lat, lng]);
+    showToast(`Base set to ${lat.toFixed(4)}, ${lng.toFixed(4)}`, 'success');
+}
+
+/**
+ * Arm (or disarm) placing a forward base with the next map click
+ */
+function toggleDepotPlacement() {
+    isPlacingDepot = !isPlacingDepot;
+    document.getElementById('placeDepotBtn').textContent = isPlacingDepot ?
+        '📍 Click the map to place…' :
+        '🏕️ Place Forward Base';
+}
+
+/**
+ * Stock of a new forward base from the depot input (empty = unlimited)
+ */
+function readDepotStock() {
+    const stock = parseInt(document.getElementById('depotStock').value);
+    return isNaN(stock) ? Infinity : stock;
+}
+
+/**
+ * Add a forward operating base at a map position
+ */
+function addForwardBase(lat, lng, stock = readDepotStock(), name = undefined) {
+    const depot = optimizer.addDepot(lat, lng, name, stock);
+    drawDepotMarker(depot);
+    renderFleetEditor();
+    invalidatePlan(`${depot.name} added`);
+    return depot;
+}
+
+/**
+ * Marker for a forward base the optimizer has
+ */
+function drawDepotMarker(depot) {
+    const { lat, lng, stock } = depot;
+    const color = depotColors[(depotMarkers.length + 1) % depotColors.length];
+
+    const depotIcon = L.divIcon({
+        className: 'base-marker',
+        html: `<div style="font-size: 1.6rem; filter: drop-shadow(0 0 4px ${color});">🏕️</div>`,
+        iconSize: [34, 34],
+        iconAnchor: [17, 34]
+    });
+
+    const marker = L.marker([lat, lng], { icon: depotIcon }).addTo(map);
+    marker.bindPopup(`
+        <div style="text-align: center;">
+            <h3 style="margin: 0 0 8px 0; color: ${color};">🏕️ ${escapeHtml(depot.name)}</h3>
+            <p style="margin: 4px 0;"><strong>Stock:</strong> ${stock === Infinity ? 'Unlimited' : `${stock} units`}</p>
+            <p style="margin: 0; font-size: 0.85rem;">${lat.toFixed(4)}, ${lng.toFixed(4)}</p>
+        </div>
+    `);
+
+    depotMarkers.push({ marker, depot });
+}
+
+/**
+ * Remove every forward base; drones fall back to the main base
+ */
+function clearForwardBases() {
+    depotMarkers.forEach(item => {
+        map.removeLayer(item.marker);
+        optimizer.removeDepot(item.depot.id);
+    });
+    depotMarkers = [];
+    fleetConfig.forEach(config => config.depotId = 0);
+    renderFleetEditor();
+    invalidatePlan('Forward bases cleared');
+}
+
+/**
+ * Arm (or disarm) placing a charging station with the next map click
+ */
+function toggleStationPlacement() {
+    isPlacingStation = !isPlacingStation;
+    document.getElementById('placeStationBtn').textContent = isPlacingStation ?
+        '📍 Click the map to place…' :
+        '⚡ Place Charging Station';
+}
+
+/**
+ * Add a charging / battery-swap station at a map position
+ */
+function addStation(lat, lng, serviceTime = parseFloat(document.getElementById('stationServiceTime').value) || 0, name = undefined) {
+    const station = optimizer.addStation(lat, lng, serviceTime, name);
+    drawStationMarker(station);
+    invalidatePlan(`${station.name} added`);
+    return station;
+}
+
+/**
+ * Marker for a charging station the optimizer has
+ */
+function drawStationMarker(station) {
+    const { lat, lng, serviceTime } = station;
+    const stationIcon = L.divIcon({
+        className: 'station-marker',
+        html: '<div style="font-size: 1.4rem; filter: drop-shadow(0 0 4px #facc15);">⚡</div>',
+        iconSize: [28, 28],
+        iconAnchor: [14, 14]
+    });
+
+    const marker = L.marker([lat, lng], { icon: stationIcon }).addTo(map);
+    marker.bindPopup(`
+        <div style="text-align: center;">
+            <h3 style="margin: 0 0 8px 0; color: #ca8a04;">⚡ ${escapeHtml(station.name)}</h3>
+            <p style="margin: 4px 0;"><strong>Swap / recharge:</strong> ${serviceTime} min</p>
+            <p style="margin: 0; font-size: 0.85rem;">${lat.toFixed(4)}, ${lng.toFixed(4)}</p>
+        </div>
+    `);
+
+    stationMarkers.push({ marker, station });
+}
+
+/**
+ * Remove all charging stations
+ */
+function clearStations() {
+    stationMarkers.forEach(item => map.removeLayer(item.marker));
+    stationMarkers = [];
+    optimizer.clearStations();
+    invalidatePlan('Charging stations cleared');
+}
+
+/**
+ * Route colour of a drone: by depot when several depots exist, else per drone
+ */
+function routeColor(drone, idx) {
+    const depots = optimizer.getDepots();
+    if (depots.length < 2) return droneColors[idx % droneColors.length];
+
+    const depotIdx = depots.findIndex(depot => depot.id === drone.homeDepot.id);
+    return depotColors[Math.max(0, depotIdx) % depotColors.length];
 }
 
 /**
@@ -152,85 +569,1738 @@ function generateRandomZones() {
         return;
     }
 
+    // The seed stays in its field so the same zones can be generated again
+    const seedInput = document.getElementById('zoneSeed');
+    if (seedInput.value === '') drawNewSeed();
+    const seed = parseInt(seedInput.value);
+
+    const layoutSelect = document.getElementById('zoneLayout');
+    let zones;
+    try {
+        zones = new ZoneGenerator(seed).generate(baseMarker.getLatLng(), numZones, {
+            layout: layoutSelect.value,
+            radiusKm: parseFloat(document.getElementById('zoneRadius').value) || 20,
+            demand: document.getElementById('demandDistribution').value,
+            minDemand: parseInt(document.getElementById('minDemand').value),
+            maxDemand: parseInt(document.getElementById('maxDemand').value),
+            priorityMix: ['mixCritical', 'mixModerate', 'mixLow'].map(id => parseFloat(document.getElementById(id).value) || 0)
+        });
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+
     // Clear existing zones
     clearZones();
 
-    const baseLatLng = baseMarker.getLatLng();
-    const priorities = [1, 1, 1, 2, 2, 2, 2, 3, 3, 3]; // 30% critical, 40% moderate, 30% low
+    const serviceTime = readServiceTime();
+    zones.forEach(zone => {
+        zone.serviceTime = serviceTime;
+        placeZone(zone);
+    });
+
+    const layout = layoutSelect.options[layoutSelect.selectedIndex].text.toLowerCase();
+    showToast(`Generated ${numZones} zones (${layout}, seed ${seed})`, 'success');
+}
+
+/**
+ * Put a fresh random seed in the generator's seed field
+ */
+function drawNewSeed() {
+    document.getElementById('zoneSeed').value = Math.floor(Math.random() * 1000000);
+}
+
+/**
+ * Handle map click for manual zone addition
+ */
+function onMapClick(e) {
+    if (isDrawingNoFly) {
+        addNoFlyVertex(e.latlng);
+        return;
+    }
+
+    if (isPlacingDepot) {
+        toggleDepotPlacement();
+        const depot = addForwardBase(e.latlng.lat, e.latlng.lng);
+        showToast(`${escapeHtml(depot.name)} added`, 'success');
+        return;
+    }
+
+    if (isPlacingStation) {
+        toggleStationPlacement();
+        const station = addStation(e.latlng.lat, e.latlng.lng);
+        showToast(`${escapeHtml(station.name)} added`, 'success');
+        return;
+    }
+
+    const priority = parseInt(document.getElementById('zonePriority').value);
+    const demand = parseInt(document.getElementById('zoneDemand').value);
+    const earliest = parseFloat(document.getElementById('zoneEarliest').value);
+    const latest = parseFloat(document.getElementById('zoneLatest').value);
+
+    const zone = addZone(e.latlng.lat, e.latlng.lng, priority, demand, {
+        earliest: isNaN(earliest) ? 0 : earliest,
+        latest: isNaN(latest) ? Infinity : latest,
+        serviceTime: readServiceTime()
+    });
+    recordEdit(`Add ${zone.label}`, () => removeZoneMarker(zone), () => restoreZoneMarker(zone));
+    showToast(`Zone added: Priority ${priority}, Demand ${demand} units`, 'success');
+}
+
+/**
+ * Drop-off duration from the manual zone inputs
+ */
+function readServiceTime() {
+    const serviceTime = parseFloat(document.getElementById('zoneServiceTime').value);
+    return isNaN(serviceTime) ? 0 : serviceTime;
+}
+
+/**
+ * Read a CSV of relief zones and show its column mapping and row report
+ */
+function openCsvFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function() {
+        const rows = optimizer.parseCsv(reader.result);
+        if (rows.length < 2) {
+            showToast(`${escapeHtml(file.name)} has no rows below its header`, 'error');
+            return;
+        }
+
+        csvImport = {
+            fileName: file.name,
+            header: rows[0],
+            rows: rows.slice(1),
+            columns: optimizer.guessCsvColumns(rows[0])
+        };
+        renderCsvImport();
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+}
+
+/**
+ * Column mapping and per-row validation report of the pending CSV import;
+ * nothing is added until the valid rows are confirmed
+ */
+function renderCsvImport() {
+    const panel = document.getElementById('csvImport');
+    const fields = [
+        ['name', 'Name'], ['lat', 'Latitude *'], ['lng', 'Longitude *'], ['priority', 'Priority *'],
+        ['demand', 'Demand *'], ['earliest', 'Earliest'], ['latest', 'Latest'], ['serviceTime', 'Drop-off (min)']
+    ];
+    const { zones, report } = optimizer.zonesFromCsv(csvImport.rows, csvImport.columns);
+    const rejected = report.filter(entry => entry.status !== 'ok');
+
+    const mapping = fields.map(([field, label]) => `
+        <div class="input-group">
+            <label>${label}</label>
+            <select class="input-field" data-field="${field}">
+                <option value="-1">—</option>
+                ${csvImport.header.map((column, i) => `<option value="${i}" ${csvImport.columns[field] === i ? 'selected' : ''}>${escapeHtml(column)}</option>`).join('')}
+            </select>
+        </div>
+    `).join('');
+
+    const rows = rejected.map(entry => `
+        <tr class="csv-${entry.status}">
+            <td>${entry.row}</td>
+            <td>${escapeHtml(entry.name || '')}</td>
+            <td>${entry.status}</td>
+            <td>${escapeHtml(entry.problems.join('; '))}</td>
+        </tr>
+    `).join('');
+
+    panel.innerHTML = `
+        <h4>${escapeHtml(csvImport.fileName)}: ${zones.length} of ${report.length} rows valid</h4>
+        <div class="csv-mapping">${mapping}</div>
+        ${rejected.length > 0 ? `
+            <table class="stop-table csv-report">
+                <tr><th>Row</th><th>Name</th><th>Status</th><th>Problem</th></tr>
+                ${rows}
+            </table>
+        ` : ''}
+        <button class="btn btn-secondary" data-action="add" ${zones.length === 0 ? 'disabled' : ''}>➕ Add ${zones.length} Zone(s)</button>
+        <button class="btn btn-danger" data-action="cancel">Cancel</button>
+    `;
+    panel.style.display = 'block';
+
+    panel.querySelectorAll('select[data-field]').forEach(select => {
+        select.addEventListener('change', function() {
+            csvImport.columns[this.dataset.field] = parseInt(this.value);
+            renderCsvImport();
+        });
+    });
+    panel.querySelector('[data-action="add"]').addEventListener('click', confirmCsvImport);
+    panel.querySelector('[data-action="cancel"]').addEventListener('click', closeCsvImport);
+}
+
+/**
+ * Add the valid rows of the pending CSV import as zones
+ */
+function confirmCsvImport() {
+    if (!baseMarker) {
+        showToast('Please set a base location first!', 'error');
+        return;
+    }
+
+    const { zones, report } = optimizer.zonesFromCsv(csvImport.rows, csvImport.columns);
+    const added = zones.map(zone => addZone(zone.lat, zone.lng, zone.priority, zone.demand, {
+        earliest: zone.earliest || 0,
+        latest: zone.latest === undefined ? Infinity : zone.latest,
+        serviceTime: zone.serviceTime === undefined ? readServiceTime() : zone.serviceTime,
+        name: zone.name
+    }));
+    recordImport(added, csvImport.fileName);
+
+    const skipped = report.length - zones.length;
+    showToast(`Imported ${zones.length} zone(s)${skipped > 0 ? `, rejected ${skipped} row(s)` : ''}`, skipped > 0 ? 'warning' : 'success');
+    closeCsvImport();
+    if (zones.length > 0) fitMapToScenario();
+}
+
+/**
+ * Drop the pending CSV import
+ */
+function closeCsvImport() {
+    csvImport = null;
+    const panel = document.getElementById('csvImport');
+    panel.style.display = 'none';
+    panel.innerHTML = '';
+}
+
+/**
+ * Add a zone to map and optimizer
+ */
+function addZone(lat, lng, priority, demand, timeWindow = {}) {
+    // Create zone object
+    return placeZone(new Zone(0, priority, demand, lat, lng, timeWindow)); // ID will be assigned by optimizer
+}
+
+/**
+ * Add a ready-made zone to the optimizer and give it a marker
+ */
+function placeZone(zone) {
+    // Add to optimizer
+    optimizer.addZone(zone);
+
+    createZoneMarker(zone);
+    return zone;
+}
+
+/**
+ * Marker for a zone the optimizer has: drag it to move the zone, or edit
+ * and delete the zone from its popup
+ */
+function createZoneMarker(zone) {
+    const marker = L.marker([zone.lat, zone.lng], { icon: createZoneIcon(zone), draggable: true }).addTo(map);
+    marker.bindPopup(zonePopupHtml(zone));
+    marker.on('popupopen', event => bindZonePopup(event.popup.getElement(), zone, marker));
+    marker.on('dragend', () => {
+        const position = marker.getLatLng();
+        editZone(zone, { lat: position.lat, lng: position.lng }, `Move ${zone.label}`);
+    });
+
+    zoneMarkers.push({ marker, zone });
+}
+
+/**
+ * Wire up the edit form in an open zone popup
+ */
+function bindZonePopup(element, zone, marker) {
+    const form = element.querySelector('.zone-edit');
+    form.querySelector('[data-action="save"]').addEventListener('click', () => {
+        const changes = {
+            priority: parseInt(form.querySelector('[data-field="priority"]').value),
+            demand: parseInt(form.querySelector('[data-field="demand"]').value)
+        };
+        if (editZone(zone, changes, `Edit ${zone.label}`)) marker.closePopup();
+    });
+    form.querySelector('[data-action="delete"]').addEventListener('click', () => {
+        marker.closePopup();
+        deleteZone(zone);
+    });
+}
+
+/**
+ * Change a zone (see DroneDeliveryOptimizer.updateZone) as an undoable
+ * edit. Returns whether the change was valid.
+ */
+function editZone(zone, changes, label) {
+    const before = {};
+    Object.keys(changes).forEach(key => before[key] = zone[key]);
+    if (Object.keys(changes).every(key => changes[key] === before[key])) return true;
+
+    try {
+        applyZoneChanges(zone, changes);
+    } catch (error) {
+        refreshZoneMarker(zone); // e.g. back where it was dragged from
+        showToast(escapeHtml(error.message), 'error');
+        return false;
+    }
+    recordEdit(label, () => applyZoneChanges(zone, before), () => applyZoneChanges(zone, changes));
+    return true;
+}
+
+function applyZoneChanges(zone, changes) {
+    optimizer.updateZone(zone.id, changes);
+    refreshZoneMarker(zone);
+    invalidatePlan(`${zone.label} changed`);
+}
+
+function refreshZoneMarker(zone) {
+    const item = zoneMarkers.find(entry => entry.zone === zone);
+    item.marker.setLatLng([zone.lat, zone.lng]);
+    item.marker.setIcon(createZoneIcon(zone));
+    item.marker.setPopupContent(zonePopupHtml(zone));
+}
 
-    for (let i = 0; i < numZones; i++) {
-        // Generate random position within radius (5-20 km from base)
-        const angle = Math.random() * 2 * Math.PI;
-        const radius = (Math.random() * 0.15) + 0.05; // 5-20 km in degrees
+/**
+ * Delete a zone as an undoable edit; undoing brings it back under its id
+ */
+function deleteZone(zone) {
+    removeZoneMarker(zone);
+    recordEdit(`Delete ${zone.label}`, () => restoreZoneMarker(zone), () => removeZoneMarker(zone));
+    showToast(`${escapeHtml(zone.label)} deleted`, 'info');
+}
 
-        const lat = baseLatLng.lat + (radius * Math.cos(angle));
-        const lng = baseLatLng.lng + (radius * Math.sin(angle));
+function removeZoneMarker(zone) {
+    optimizer.removeZone(zone.id);
+    const item = zoneMarkers.find(entry => entry.zone === zone);
+    map.removeLayer(item.marker);
+    zoneMarkers = zoneMarkers.filter(entry => entry !== item);
+    invalidatePlan(`${zone.label} removed`);
+}
+
+function restoreZoneMarker(zone) {
+    optimizer.restoreZone(zone);
+    createZoneMarker(zone);
+}
+
+/**
+ * Record imported zones as one edit: undoing it takes them all out again
+ */
+function recordImport(zones, source) {
+    if (zones.length === 0) return;
+    recordEdit(`Import ${zones.length} zone(s) from ${source}`,
+        () => zones.forEach(removeZoneMarker),
+        () => zones.forEach(restoreZoneMarker));
+}
+
+/**
+ * Remember an edit that was just made so it can be undone; a new edit
+ * drops whatever was undone before it
+ */
+function recordEdit(label, undo, redo) {
+    editHistory.undo.push({ label, undo, redo });
+    if (editHistory.undo.length > EDIT_HISTORY_LIMIT) editHistory.undo.shift();
+    editHistory.redo = [];
+    updateHistoryButtons();
+    scheduleWorkspaceSave();
+}
+
+/**
+ * Undo the last edit, or redo the last one undone
+ */
+function stepHistory(redo = false) {
+    const from = redo ? editHistory.redo : editHistory.undo;
+    const to = redo ? editHistory.undo : editHistory.redo;
+    const edit = from.pop();
+    if (!edit) return;
+
+    // An edit that cannot be replayed stays where it was
+    try {
+        if (redo) {
+            edit.redo();
+        } else {
+            edit.undo();
+        }
+    } catch (error) {
+        from.push(edit);
+        console.error('Undo / redo error:', error);
+        showToast(`Could not ${redo ? 'redo' : 'undo'} "${escapeHtml(edit.label)}": ${escapeHtml(error.message)}`, 'error');
+        return;
+    }
+    to.push(edit);
+    updateHistoryButtons();
+    showToast(`${redo ? 'Redone' : 'Undone'}: ${escapeHtml(edit.label)}`, 'info');
+}
+
+/**
+ * Forget the edits, e.g. when the zones are replaced wholesale
+ */
+function resetHistory() {
+    editHistory = { undo: [], redo: [] };
+    updateHistoryButtons();
+}
+
+function updateHistoryButtons() {
+    const undo = editHistory.undo[editHistory.undo.length - 1];
+    const redo = editHistory.redo[editHistory.redo.length - 1];
+
+    const undoButton = document.getElementById('undoBtn');
+    undoButton.disabled = !undo;
+    undoButton.title = undo ? `Undo: ${undo.label} (Ctrl+Z)` : 'Nothing to undo';
+
+    const redoButton = document.getElementById('redoBtn');
+    redoButton.disabled = !redo;
+    redoButton.title = redo ? `Redo: ${redo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+}
+
+/**
+ * The zones or base changed under the plan: take it off the map and out
+ * of the optimizer, or with automatic re-optimization on, plan again once
+ * the edits settle
+ */
+function invalidatePlan(reason) {
+    const hadPlan = lastResults !== null || routePolylines.length > 0;
+    const pending = reoptimizeTimer !== null;
+    optimizer.discardPlan();
+    workspacePlan = null;
+
+    clearTimeout(reoptimizeTimer);
+    reoptimizeTimer = null;
+    const reoptimize = document.getElementById('autoReoptimize').checked && (hadPlan || pending);
+    if (reoptimize) {
+        reoptimizeTimer = setTimeout(() => {
+            reoptimizeTimer = null;
+            optimizeRoutes();
+        }, REOPTIMIZE_DELAY);
+    }
+    if (!hadPlan) return;
+
+    clearRoutes();
+    clearDroneMarkers();
+    failedDroneIds = [];
+    lastResults = null;
+    planViolations = [];
+    document.getElementById('resultsCard').style.display = 'none';
+    document.getElementById('statsBar').style.display = 'none';
+
+    zoneMarkers.forEach(item => {
+        item.marker.setIcon(createZoneIcon(item.zone));
+        item.marker.setPopupContent(zonePopupHtml(item.zone));
+        item.marker.setOpacity(1);
+    });
+
+    showToast(reoptimize ?
+        `${escapeHtml(reason)}: re-optimizing` :
+        `${escapeHtml(reason)}: the plan no longer applies, optimize again`, reoptimize ? 'info' : 'warning');
+}
+
+/**
+ * Start drawing a no-fly polygon, or finish the one being drawn
+ */
+function toggleNoFlyDrawing() {
+    const button = document.getElementById('drawNoFlyBtn');
+    const help = document.getElementById('noFlyHelp');
+
+    if (!isDrawingNoFly) {
+        isDrawingNoFly = true;
+        noFlyDraft = [];
+        button.textContent = '✅ Finish Polygon';
+        help.textContent = 'Click the map to place corners, then finish the polygon';
+        return;
+    }
+
+    isDrawingNoFly = false;
+    button.textContent = '✏️ Draw No-Fly Zone';
+    help.textContent = 'Draw polygons around airports, military or hazard areas';
+
+    if (noFlyDraftLayer) {
+        map.removeLayer(noFlyDraftLayer);
+        noFlyDraftLayer = null;
+    }
+
+    if (noFlyDraft.length < 3) {
+        showToast('A no-fly zone needs at least 3 corners', 'warning');
+        return;
+    }
+
+    addNoFlyZone(noFlyDraft.map(latlng => ({ lat: latlng.lat, lng: latlng.lng })));
+    noFlyDraft = [];
+    showToast('No-fly zone added', 'success');
+}
+
+/**
+ * Add a corner to the polygon being drawn
+ */
+function addNoFlyVertex(latlng) {
+    noFlyDraft.push(latlng);
+
+    if (noFlyDraftLayer) {
+        noFlyDraftLayer.setLatLngs(noFlyDraft);
+    } else {
+        noFlyDraftLayer = L.polyline(noFlyDraft, { color: '#ef4444', weight: 2, dashArray: '4, 4' }).addTo(map);
+    }
+}
+
+/**
+ * Add a no-fly polygon to the optimizer and the map
+ */
+function addNoFlyZone(points, name) {
+    const noFlyZone = optimizer.addNoFlyZone(points, name);
+    drawNoFlyZone(noFlyZone);
+    invalidatePlan(`${noFlyZone.name} added`);
+}
+
+/**
+ * Polygon for a no-fly zone the optimizer has
+ */
+function drawNoFlyZone(noFlyZone) {
+    const polygon = L.polygon(noFlyZone.points.map(p => [p.lat, p.lng]), {
+        color: '#ef4444',
+        weight: 2,
+        fillColor: '#ef4444',
+        fillOpacity: 0.25
+    }).addTo(map);
+    polygon.bindPopup(`<h3 style="margin: 0; color: #ef4444;">⛔ ${escapeHtml(noFlyZone.name)}</h3>`);
+
+    noFlyLayers.push(polygon);
+}
+
+/**
+ * Import no-fly polygons from a GeoJSON file (Polygon / MultiPolygon geometries)
+ */
+function importNoFlyZones(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function() {
+        try {
+            const geojson = JSON.parse(reader.result);
+            const features = geojson.type === 'FeatureCollection' ? geojson.features :
+                geojson.type === 'Feature' ? [geojson] :
+                [{ type: 'Feature', geometry: geojson, properties: {} }];
+
+            let imported = 0;
+            features.forEach(feature => {
+                const geometry = feature.geometry || {};
+                const name = feature.properties && feature.properties.name;
+                const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] :
+                    geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+
+                polygons.forEach(rings => {
+                    // Outer ring only; GeoJSON positions are [lng, lat] and the ring repeats its first point
+                    const ring = rings[0].map(([lng, lat]) => ({ lat, lng }));
+                    const last = ring[ring.length - 1];
+                    if (ring.length > 1 && last.lat === ring[0].lat && last.lng === ring[0].lng) ring.pop();
+
+                    addNoFlyZone(ring, name);
+                    imported++;
+                });
+            });
+
+            if (imported === 0) {
+                showToast('No polygons found in file', 'warning');
+            } else {
+                showToast(`Imported ${imported} no-fly zone(s)`, 'success');
+            }
+        } catch (error) {
+            console.error('No-fly import error:', error);
+            showToast(`Could not import no-fly zones: ${escapeHtml(error.message)}`, 'error');
+        }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+}
+
+/**
+ * Remove all no-fly polygons
+ */
+function clearNoFlyZones() {
+    noFlyLayers.forEach(layer => map.removeLayer(layer));
+    noFlyLayers = [];
+    optimizer.clearNoFlyZones();
+    invalidatePlan('No-fly zones cleared');
+}
+
+/**
+ * Save the base, depots, stations, no-fly zones, zones, fleet and settings
+ * as a scenario file
+ */
+function saveScenario() {
+    if (!baseMarker) {
+        showToast('Please set a base location first!', 'error');
+        return;
+    }
+
+    configureOptimizer();
+    downloadFile('relief-scenario.json', JSON.stringify(optimizer.toScenario(), null, 2), 'application/json');
+    showToast('Scenario saved', 'success');
+}
+
+/**
+ * Load a scenario file, or relief zones from a GeoJSON file
+ */
+function loadScenarioFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function() {
+        let data;
+        try {
+            data = JSON.parse(reader.result);
+        } catch (error) {
+            showToast(`${escapeHtml(file.name)} is not valid JSON: ${escapeHtml(error.message)}`, 'error');
+            return;
+        }
+
+        if (data && ['FeatureCollection', 'Feature', 'Point'].includes(data.type)) {
+            importGeoJsonZones(data);
+        } else if (applyScenario(data)) {
+            detachWorkspace();
+        }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+}
+
+/**
+ * Replace everything on the map and in the panels with a scenario.
+ * Returns whether it was valid.
+ */
+function applyScenario(data) {
+    const problems = optimizer.validateScenario(data);
+    if (problems.length > 0) {
+        console.warn('Scenario problems:', problems);
+        const more = problems.length > 1 ? ` (+${problems.length - 1} more, see console)` : '';
+        showToast(`Invalid scenario: ${escapeHtml(problems[0])}${more}`, 'error');
+        return false;
+    }
+
+    clearAll();
+    optimizer.loadScenario(data);
+
+    // Markers and panels for what the optimizer loaded (settings without an input stay in the optimizer)
+    const base = optimizer.getDepots().find(depot => depot.id === 0);
+    drawBaseMarker(base.lat, base.lng);
+    optimizer.getDepots().filter(depot => depot.id !== 0).forEach(drawDepotMarker);
+    optimizer.getStations().forEach(drawStationMarker);
+    optimizer.noFlyZones.forEach(drawNoFlyZone);
+    optimizer.zones.filter(zone => zone.isReliefZone).forEach(createZoneMarker);
+
+    fleetConfig = optimizer.drones.map(drone => ({
+        template: null,
+        name: drone.name,
+        batteryCapacity: drone.batteryCapacity,
+        payloadCapacity: drone.payloadCapacity,
+        cruiseSpeed: drone.cruiseSpeed,
+        reserve: drone.reserveMargin * 100,
+        depotId: drone.depotId
+    }));
+    renderFleetEditor();
+
+    const loaded = optimizer.toScenario();
+    writeSettingsInputs(loaded.settings, loaded.energy);
+
+    fitMapToScenario();
+    showToast(`Scenario loaded: ${data.zones.length} zones, ${data.fleet.length} drones`, 'success');
+    return true;
+}
+
+/**
+ * The scenario being edited: the map, the fleet editor and the settings
+ * inputs (see toScenario), or null without a base. The optimizer, and the
+ * plan it holds, are left alone.
+ */
+function currentScenario() {
+    if (!baseMarker) return null;
+
+    const scratch = new DroneDeliveryOptimizer();
+    scratch.zones = optimizer.zones.filter(zone => !zone.isPosition);
+    scratch.noFlyZones = optimizer.noFlyZones;
+    scratch.configure(optimizer.settings);
+    configureOptimizer(scratch);
+    return scratch.toScenario();
+}
+
+/**
+ * A JSON value from browser storage; fallback when it is missing or
+ * cannot be read
+ */
+function readStorage(key, fallback) {
+    try {
+        const text = localStorage.getItem(key);
+        return text === null ? fallback : JSON.parse(text);
+    } catch (error) {
+        console.warn(`Could not read ${key} from browser storage:`, error);
+        return fallback;
+    }
+}
+
+/**
+ * Put a JSON value in browser storage; returns whether it fit
+ */
+function writeStorage(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        console.warn(`Could not write ${key} to browser storage:`, error);
+        return false;
+    }
+}
+
+/**
+ * Keep the workspace (scenario, plan shown and the run history of an
+ * unsaved workspace) in browser storage, and the open saved scenario in
+ * step with it
+ */
+function saveWorkspace() {
+    clearTimeout(workspaceSaveTimer);
+    workspaceSaveTimer = null;
+
+    const scenario = currentScenario();
+    if (activeScenarioId !== null && scenario) {
+        const scenarios = readScenarios();
+        const saved = scenarios.find(item => item.id === activeScenarioId);
+        if (saved && JSON.stringify(saved.scenario) !== JSON.stringify(scenario)) {
+            saved.scenario = scenario;
+            saved.updatedAt = new Date().toISOString();
+            writeScenarios(scenarios);
+        }
+    }
+
+    const workspace = {
+        savedAt: new Date().toISOString(),
+        scenarioId: activeScenarioId,
+        scenario,
+        plan: workspacePlan,
+        runs: workspaceRuns
+    };
+
+    // When storage is full the oldest runs go first, then the plan
+    while (!writeStorage(WORKSPACE_KEY, workspace)) {
+        if (workspace.runs.length > 0) {
+            workspace.runs.shift();
+        } else if (workspace.plan) {
+            workspace.plan = null;
+        } else {
+            break;
+        }
+    }
+}
+
+function scheduleWorkspaceSave() {
+    clearTimeout(workspaceSaveTimer);
+    workspaceSaveTimer = setTimeout(saveWorkspace, WORKSPACE_SAVE_DELAY);
+}
+
+/**
+ * Bring back the workspace of the last session; returns whether there
+ * was one to bring back
+ */
+function restoreWorkspace() {
+    const workspace = readStorage(WORKSPACE_KEY, null);
+    if (!workspace || !workspace.scenario || optimizer.validateScenario(workspace.scenario).length > 0) {
+        return false;
+    }
+
+    applyScenario(workspace.scenario);
+    activeScenarioId = readScenarios().some(item => item.id === workspace.scenarioId) ? workspace.scenarioId : null;
+    workspaceRuns = Array.isArray(workspace.runs) ? workspace.runs.filter(isStoredRun) : [];
+
+    if (workspace.plan) {
+        try {
+            showPlan(workspace.plan);
+        } catch (error) {
+            console.warn('Could not restore the last plan:', error);
+        }
+    }
+    return true;
+}
+
+/**
+ * Unlink the workspace from its saved scenario, e.g. when another area
+ * or scenario file replaces it; it starts an unsaved run history
+ */
+function detachWorkspace() {
+    activeScenarioId = null;
+    workspaceRuns = [];
+    workspacePlan = null;
+    renderScenariosPanel();
+    scheduleWorkspaceSave();
+}
+
+/**
+ * Put a saved plan (see exportPlan) on the map as if it had just been
+ * optimized. Throws when it does not fit the scenario (see importPlan).
+ */
+function showPlan(plan) {
+    clearRoutes();
+    clearDroneMarkers();
+    failedDroneIds = [];
+    configureOptimizer();
+
+    const results = optimizer.importPlan(plan);
+    workspacePlan = plan;
+    displayResults(results);
+    updateStats(results);
+
+    animationActive = true;
+    visualizeAndAnimateRoutes(results);
+    return results;
+}
+
+/**
+ * The saved scenarios in browser storage, without the entries (or runs)
+ * that cannot be used; storage may have been edited by hand or written by
+ * another version. The next write drops what was left out.
+ */
+function readScenarios() {
+    const scenarios = readStorage(SCENARIOS_KEY, []);
+    if (!Array.isArray(scenarios)) return [];
+
+    return scenarios.filter(saved => savedScenarioProblem(saved) === null).map(saved => {
+        saved.runs = saved.runs.filter(isStoredRun);
+        return saved;
+    });
+}
+
+/**
+ * Why an entry of the saved scenarios cannot be used, or null when it can
+ */
+function savedScenarioProblem(saved) {
+    if (saved === null || typeof saved !== 'object') return 'must be an object';
+    if (!Number.isInteger(saved.id)) return 'id: must be an integer';
+    if (typeof saved.name !== 'string') return 'name: must be text';
+    if (!Array.isArray(saved.runs)) return 'runs: must be a list';
+
+    const problems = optimizer.validateScenario(saved.scenario);
+    return problems.length > 0 ? problems[0] : null;
+}
+
+/**
+ * Whether a run read back from storage has what the run history shows
+ * and a plan; its scenario is checked when it is restored
+ */
+function isStoredRun(run) {
+    return run !== null && typeof run === 'object' && Number.isInteger(run.id) &&
+        typeof run.time === 'string' && typeof run.label === 'string' && typeof run.strategy === 'string' &&
+        run.metrics !== null && typeof run.metrics === 'object' &&
+        run.plan !== null && typeof run.plan === 'object' && Array.isArray(run.plan.drones);
+}
+
+/**
+ * Store the saved scenarios; while they do not fit, the oldest run of
+ * any scenario goes. Returns whether they were stored.
+ */
+function writeScenarios(scenarios) {
+    while (!writeStorage(SCENARIOS_KEY, scenarios)) {
+        const withRuns = scenarios.filter(item => item.runs.length > 0);
+        if (withRuns.length === 0) {
+            showToast('Browser storage is full: the saved scenarios could not be updated', 'error');
+            return false;
+        }
+        withRuns.reduce((oldest, item) => item.runs[0].time < oldest.runs[0].time ? item : oldest).runs.shift();
+    }
+    return true;
+}
+
+/**
+ * Runs of the open saved scenario, or of the unsaved workspace
+ */
+function currentRuns() {
+    if (activeScenarioId === null) return workspaceRuns;
+
+    const saved = readScenarios().find(item => item.id === activeScenarioId);
+    return saved ? saved.runs : [];
+}
+
+/**
+ * Keep a finished run (its scenario, summary figures and plan) in the
+ * history of the open scenario, or of the unsaved workspace
+ */
+function recordRun(results, mode, cancelled = false) {
+    const plan = optimizer.exportPlan();
+    if (mode === 'exact') {
+        plan.summary = {};
+        EXACT_SUMMARY_FIELDS.forEach(field => plan.summary[field] = results.summary[field]);
+    }
+
+    // Keep it small: importPlan works the paths out again, and the chart draws a few hundred samples at most
+    plan.drones.forEach(drone => delete drone.path);
+    const step = Math.ceil(plan.convergence.length / 500);
+    if (step > 1) {
+        plan.convergence = plan.convergence.filter((cost, i) => i % step === 0 || i === plan.convergence.length - 1);
+    }
+    workspacePlan = plan;
+
+    const summary = results.summary;
+    const run = {
+        id: 0,
+        time: new Date().toISOString(),
+        label: `${mode === 'exact' ? 'Exact' : 'Optimize'}${cancelled ? ' (stopped early)' : ''}`,
+        strategy: summary.strategy,
+        metrics: {
+            missionScore: summary.missionScore,
+            totalDistance: summary.totalDistance,
+            zonesServed: summary.zonesServed,
+            totalZones: summary.totalZones,
+            criticalServed: summary.criticalServed,
+            totalCritical: summary.totalCritical,
+            executionTime: summary.executionTime
+        },
+        scenario: currentScenario(),
+        plan
+    };
+    const addRun = runs => {
+        run.id = Math.max(0, ...runs.map(item => item.id)) + 1;
+        runs.push(run);
+        runs.splice(0, Math.max(0, runs.length - RUN_HISTORY_LIMIT));
+    };
+
+    const scenarios = readScenarios();
+    const saved = scenarios.find(item => item.id === activeScenarioId);
+    if (saved) {
+        addRun(saved.runs);
+        saved.updatedAt = run.time;
+        writeScenarios(scenarios);
+    } else {
+        addRun(workspaceRuns);
+    }
+
+    saveWorkspace();
+    renderRunHistory();
+}
+
+/**
+ * Put a past run back: the scenario as it was then, and its plan on the map
+ */
+function restoreRun(runId) {
+    const run = currentRuns().find(item => item.id === runId);
+    if (!run || !applyScenario(run.scenario)) return;
+
+    try {
+        showPlan(run.plan);
+    } catch (error) {
+        console.error('Restore error:', error);
+        showToast(`That plan no longer fits its scenario: ${escapeHtml(error.message)}`, 'error');
+        return;
+    }
+    saveWorkspace();
+    showToast(`Restored the ${escapeHtml(run.label.toLowerCase())} run of ${escapeHtml(formatTimestamp(run.time))}`, 'success');
+}
+
+/**
+ * Save the workspace as a new named scenario and keep working in it; an
+ * unsaved workspace brings its run history along
+ */
+function saveScenarioAs() {
+    const scenario = currentScenario();
+    if (!scenario) {
+        showToast('Please set a base location first!', 'error');
+        return;
+    }
+
+    const scenarios = readScenarios();
+    const nameInput = document.getElementById('scenarioName');
+    const now = new Date().toISOString();
+    const saved = {
+        id: Math.max(0, ...scenarios.map(item => item.id)) + 1,
+        name: nameInput.value.trim() || `Scenario ${scenarios.length + 1}`,
+        createdAt: now,
+        updatedAt: now,
+        scenario,
+        runs: activeScenarioId === null ? workspaceRuns : []
+    };
+    scenarios.push(saved);
+    if (!writeScenarios(scenarios)) return;
+
+    activeScenarioId = saved.id;
+    workspaceRuns = [];
+    nameInput.value = '';
+    saveWorkspace();
+    renderScenariosPanel();
+    showToast(`Saved as "${escapeHtml(saved.name)}"`, 'success');
+}
+
+/**
+ * Open a saved scenario in the workspace
+ */
+function openScenario(id) {
+    const saved = readScenarios().find(item => item.id === id);
+    if (!saved || !applyScenario(saved.scenario)) return;
+
+    activeScenarioId = id;
+    workspaceRuns = [];
+    workspacePlan = null;
+    saveWorkspace();
+    renderScenariosPanel();
+}
+
+function renameScenario(id, name) {
+    const scenarios = readScenarios();
+    const saved = scenarios.find(item => item.id === id);
+    if (!saved || !name.trim()) {
+        renderScenariosPanel();
+        return;
+    }
+
+    saved.name = name.trim();
+    saved.updatedAt = new Date().toISOString();
+    writeScenarios(scenarios);
+    renderScenariosPanel();
+}
+
+/**
+ * Copy a saved scenario under a new name; the copy starts without runs
+ */
+function duplicateScenario(id) {
+    const scenarios = readScenarios();
+    const saved = scenarios.find(item => item.id === id);
+    if (!saved) return;
+
+    const now = new Date().toISOString();
+    scenarios.push({
+        id: Math.max(0, ...scenarios.map(item => item.id)) + 1,
+        name: `${saved.name} (copy)`,
+        createdAt: now,
+        updatedAt: now,
+        scenario: saved.scenario,
+        runs: []
+    });
+    writeScenarios(scenarios);
+    renderScenariosPanel();
+}
+
+/**
+ * Delete a saved scenario and its runs; the workspace keeps what is on
+ * the map, unsaved
+ */
+function deleteScenario(id) {
+    const scenarios = readScenarios();
+    const saved = scenarios.find(item => item.id === id);
+    if (!saved || !confirm(`Delete "${saved.name}" and its ${saved.runs.length} run(s)?`)) return;
+
+    writeScenarios(scenarios.filter(item => item !== saved));
+    if (activeScenarioId === id) {
+        activeScenarioId = null;
+        workspaceRuns = [];
+        saveWorkspace();
+    }
+    renderScenariosPanel();
+}
+
+/**
+ * List the saved scenarios (the open one highlighted) and the run history
+ */
+function renderScenariosPanel() {
+    const list = document.getElementById('scenarioList');
+    list.innerHTML = '';
+
+    const stored = readStorage(SCENARIOS_KEY, []);
+    const skipped = Array.isArray(stored) ? stored.filter(saved => savedScenarioProblem(saved) !== null) : [];
+    if (skipped.length > 0) {
+        console.warn('Saved scenarios that cannot be read:', skipped.map(saved => savedScenarioProblem(saved)));
+        list.innerHTML = `<p class="help-text">${skipped.length} saved scenario(s) could not be read and are not listed</p>`;
+    }
+
+    readScenarios().forEach(saved => {
+        const row = document.createElement('div');
+        row.className = `scenario-row${saved.id === activeScenarioId ? ' active' : ''}`;
+        row.innerHTML = `
+            <input type="text" class="input-field" title="Rename">
+            <button class="btn-icon" data-action="open" title="Open in the workspace">📂</button>
+            <button class="btn-icon" data-action="duplicate" title="Copy (without its run history)">⧉</button>
+            <button class="btn-icon" data-action="delete" title="Delete">✕</button>
+            <span class="scenario-meta">${saved.scenario.zones.length} zones · ${saved.runs.length} run(s) · ${escapeHtml(formatTimestamp(saved.updatedAt))}</span>
+        `;
+
+        // Set as a property so names with quotes do not break the markup
+        const nameInput = row.querySelector('input');
+        nameInput.value = saved.name;
+        nameInput.addEventListener('change', () => renameScenario(saved.id, nameInput.value));
+        row.querySelector('[data-action="open"]').addEventListener('click', () => openScenario(saved.id));
+        row.querySelector('[data-action="duplicate"]').addEventListener('click', () => duplicateScenario(saved.id));
+        row.querySelector('[data-action="delete"]').addEventListener('click', () => deleteScenario(saved.id));
+
+        list.appendChild(row);
+    });
+
+    const active = readScenarios().find(item => item.id === activeScenarioId);
+    document.getElementById('runHistoryOwner').textContent = active ? active.name : 'unsaved workspace';
+    renderRunHistory();
+}
+
+/**
+ * Past runs of the open scenario, newest first, each restorable
+ */
+function renderRunHistory() {
+    const list = document.getElementById('runHistory');
+    const runs = currentRuns();
+    list.innerHTML = runs.length === 0 ? '<p class="help-text">No runs yet</p>' : '';
+
+    [...runs].reverse().forEach(run => {
+        const metrics = run.metrics;
+        const row = document.createElement('div');
+        row.className = 'run-row';
+        row.innerHTML = `
+            <div>
+                <strong>${escapeHtml(formatTimestamp(run.time))}</strong> · ${escapeHtml(run.label)} · ${escapeHtml(run.strategy)}
+                <div class="run-metrics">
+                    Score ${escapeHtml(metrics.missionScore)} · ${escapeHtml(metrics.totalDistance)} km ·
+                    zones ${escapeHtml(metrics.zonesServed)}/${escapeHtml(metrics.totalZones)} ·
+                    critical ${escapeHtml(metrics.criticalServed)}/${escapeHtml(metrics.totalCritical)}
+                </div>
+            </div>
+            <button class="btn-icon" title="Restore this plan and its scenario">↩️</button>
+        `;
+        row.querySelector('.btn-icon').addEventListener('click', () => restoreRun(run.id));
+        list.appendChild(row);
+    });
+}
+
+function formatTimestamp(time) {
+    return new Date(time).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+}
+
+/**
+ * Show scenario settings in the configuration panel (the inverse of
+ * configureOptimizer); settings left out of the scenario are not touched
+ */
+function writeSettingsInputs(settings, energy) {
+    const setValue = (id, value) => {
+        if (value !== undefined) document.getElementById(id).value = value;
+    };
+    const setChecked = (id, value) => {
+        if (value !== undefined) document.getElementById(id).checked = value;
+    };
+
+    setValue('maxSorties', settings.maxSorties);
+    setValue('missionHorizon', settings.missionHorizon === null ? 0 : settings.missionHorizon);
+    setValue('reloadTime', settings.reloadTime);
+    setChecked('hardTimeWindows', settings.hardTimeWindows);
+    setChecked('openRoutes', settings.openRoutes);
+    setChecked('rechargeBetweenSorties', settings.rechargeBetweenSorties);
+    setValue('rechargeTime', settings.rechargeTime);
+    setValue('solverStrategy', settings.strategy);
+    setValue('improvementTime', settings.improvementTime);
+    setValue('improvementIterations', settings.improvementIterations);
+    setValue('largeInstanceZones', settings.largeInstanceZones === null ? 0 : settings.largeInstanceZones);
+    setValue('candidateCount', settings.candidateCount);
+    if (settings.priorityWeights) {
+        ['weightCritical', 'weightModerate', 'weightLow'].forEach((id, i) => setValue(id, settings.priorityWeights[i]));
+    }
+    setValue('unitValue', settings.unitValue);
+    setValue('distanceCost', settings.distanceCost);
+    setValue('unservedZonePenalty', settings.unservedZonePenalty);
+    setValue('minServedFraction', settings.minServedFraction === undefined ? undefined : settings.minServedFraction * 100);
+    setValue('balanceMode', settings.balanceMode);
+    setValue('balanceWeight', settings.balanceWeight);
+    if (energy) setValue('loadFactor', energy.loadFactor * 100);
+}
+
+/**
+ * Add the relief zones of a GeoJSON file (Points) to the current scenario
+ */
+function importGeoJsonZones(geojson) {
+    if (!baseMarker) {
+        showToast('Please set a base location first!', 'error');
+        return;
+    }
+
+    const { zones, problems } = optimizer.zonesFromGeoJson(geojson);
+    recordImport(zones.map(description => placeZone(optimizer.zoneFromDescription(description))), 'GeoJSON');
+
+    if (problems.length > 0) {
+        console.warn('GeoJSON features skipped:', problems);
+        showToast(`Imported ${zones.length} zone(s), skipped ${problems.length} feature(s): ${escapeHtml(problems[0])}`, 'warning');
+    } else {
+        showToast(`Imported ${zones.length} zone(s)`, 'success');
+    }
+    if (zones.length > 0) fitMapToScenario();
+}
+
+/**
+ * Download the current plan as GeoJSON: a LineString per sortie and the zones as Points
+ */
+function exportRoutes() {
+    if (!optimizer.drones.some(drone => drone.sorties.length > 0)) {
+        showToast('Optimize routes before exporting them!', 'error');
+        return;
+    }
+
+    downloadFile('relief-routes.geojson', JSON.stringify(optimizer.routesToGeoJson(), null, 2), 'application/geo+json');
+    showToast('Routes exported', 'success');
+}
+
+/**
+ * Drones of the plan shown that fly at least one sortie (none when no plan
+ * is shown)
+ */
+function exportableDrones() {
+    if (!lastResults) {
+        showToast('Optimize routes before exporting them!', 'error');
+        return [];
+    }
+
+    const drones = lastResults.drones.filter(drone => drone.sorties.length > 0);
+    if (drones.length === 0) showToast('No drone flies a sortie in this plan', 'error');
+    return drones;
+}
+
+/**
+ * Download the printable mission report of the plan shown
+ */
+function exportMissionReport() {
+    if (exportableDrones().length === 0) return;
+
+    downloadFile('mission-report.html', buildMissionReport(lastResults), 'text/html');
+    showToast('Mission report exported', 'success');
+}
+
+/**
+ * Download a CSV load manifest per drone
+ */
+function exportManifests() {
+    const drones = exportableDrones();
+    drones.forEach(drone => {
+        downloadFile(`${fileSlug(drone.name)}-manifest.csv`, optimizer.manifestCsv(drone), 'text/csv');
+    });
+    if (drones.length > 0) showToast(`Exported ${drones.length} load manifest(s)`, 'success');
+}
+
+/**
+ * Download a KML or GPX waypoint file per drone
+ */
+function exportWaypoints(format) {
+    const drones = exportableDrones();
+    drones.forEach(drone => {
+        if (format === 'kml') {
+            downloadFile(`${fileSlug(drone.name)}-route.kml`, optimizer.droneKml(drone), 'application/vnd.google-earth.kml+xml');
+        } else {
+            downloadFile(`${fileSlug(drone.name)}-route.gpx`, optimizer.droneGpx(drone), 'application/gpx+xml');
+        }
+    });
+    if (drones.length > 0) showToast(`Exported ${drones.length} ${format.toUpperCase()} file(s)`, 'success');
+}
+
+/**
+ * File name part from a drone or zone name ("Drone 1" → "drone-1")
+ */
+function fileSlug(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'drone';
+}
+
+/**
+ * Self-contained HTML mission report: route map, summary, warnings and a
+ * load manifest table per drone, styled for printing
+ */
+function buildMissionReport(results) {
+    const summary = results.summary;
+
+    const summaryRows = [
+        ['Strategy', summary.strategy],
+        ['Total distance', `${summary.totalDistance} km (lower bound ${summary.distanceLowerBound} km)`],
+        ['Zones served', `${summary.zonesServed} / ${summary.totalZones}`],
+        ['Critical / moderate / low', `${summary.criticalServed}/${summary.totalCritical} · ${summary.moderateServed}/${summary.totalModerate} · ${summary.lowServed}/${summary.totalLow}`],
+        ['Partially served zones', summary.partiallyServed],
+        ['Undelivered demand', `${summary.remainingDemand} units`],
+        ['Sorties', summary.totalSorties],
+        ['Mission time', formatMinutes(summary.missionTime)],
+        ['Average battery use', `${summary.avgBatteryUsage}%`],
+        ['Late stops', `${summary.lateStops} (${summary.totalLateness} min late in total)`],
+        ['Mission score', summary.missionScore],
+        ['Zone fairness (Jain / Gini)', `${summary.fairness.zoneJain} / ${summary.fairness.zoneGini}`],
+        ['Drone workload (Jain / Gini)', `${summary.fairness.droneJain} / ${summary.fairness.droneGini}`]
+    ].map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join('');
+
+    const warnings = summary.criticalWarnings.length > 0 ? `
+        <h2>Critical zones at risk</h2>
+        <ul class="warnings">${summary.criticalWarnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}</ul>` : '';
+
+    const partial = summary.partialZones.length > 0 ? `
+        <h2>Partially served zones</h2>
+        <table>
+            <tr><th>Zone</th><th>Priority</th><th>Delivered</th><th>Still needed</th></tr>
+            ${summary.partialZones.map(zone => `
+            <tr><td>${escapeHtml(zone.name)}</td><td>P${zone.priority}</td><td>${zone.delivered} / ${zone.demand}</td><td>${zone.remaining}</td></tr>`).join('')}
+        </table>` : '';
+
+    const drones = results.drones.map((drone, idx) => {
+        const color = routeColor(drone, idx);
+        const figures = drone.sorties.length > 0
+            ? `${drone.sorties.length} sortie(s) · ${drone.totalDistance.toFixed(2)} km · ${drone.totalDelivered} units · ${formatMinutes(drone.missionTime)} · ${drone.batteryUsage}% deepest discharge`
+            : drone.failed ? 'Grounded' : 'No sorties planned';
+
+        const rows = optimizer.loadManifest(drone).map(row => `
+            <tr class="${row.type === 'zone' ? '' : 'hub'}">
+                <td>${row.sortie}</td><td>${row.stop}</td><td>${escapeHtml(row.name)}</td><td>${row.type}</td>
+                <td>${formatMinutes(row.time)}</td><td>${row.drop || ''}</td><td>${row.onBoard}</td>
+                <td>${row.legDistance.toFixed(2)}</td><td>${row.cumulativeDistance.toFixed(2)}</td><td>${row.batteryPercent.toFixed(0)}%</td>
+            </tr>`).join('');
+
+        return `
+        <section class="drone">
+            <h2><span class="swatch" style="background: ${color};"></span>${escapeHtml(drone.name)}</h2>
+            <p class="figures">${figures} · payload ${drone.payloadCapacity} units, battery ${drone.batteryCapacity} km</p>
+            ${rows ? `
+            <table>
+                <tr><th>Sortie</th><th>#</th><th>Stop</th><th>Type</th><th>Time</th><th>Drop</th><th>On board</th><th>Leg km</th><th>Total km</th><th>Battery</th></tr>
+                ${rows}
+            </table>` : ''}
+        </section>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Relief Mission Report</title>
+<style>
+    body { font-family: system-ui, -apple-system, 'Segoe UI', sans-serif; color: #1e293b; max-width: 960px; margin: 24px auto; padding: 0 16px; font-size: 14px; }
+    h1 { margin: 0 0 4px; font-size: 24px; }
+    h2 { font-size: 18px; margin: 24px 0 8px; }
+    .meta { color: #64748b; margin: 0 0 16px; }
+    .map { width: 100%; height: auto; border: 1px solid #cbd5e1; border-radius: 6px; }
+    .legend { display: flex; flex-wrap: wrap; gap: 4px 16px; margin: 6px 0 0; color: #475569; font-size: 12px; }
+    .swatch { display: inline-block; width: 12px; height: 12px; border-radius: 2px; margin-right: 6px; vertical-align: -1px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border-bottom: 1px solid #e2e8f0; padding: 4px 6px; text-align: left; }
+    .summary th { width: 40%; color: #475569; font-weight: 600; }
+    .drone td:nth-child(n+5) { text-align: right; font-variant-numeric: tabular-nums; }
+    .hub td { color: #64748b; }
+    .figures { margin: 0 0 6px; color: #475569; }
+    .warnings li { color: #b91c1c; }
+    .print { float: right; padding: 6px 14px; font: inherit; cursor: pointer; }
+    @media print {
+        body { margin: 0; max-width: none; }
+        .print { display: none; }
+        .drone { break-inside: avoid; }
+    }
+</style>
+</head>
+<body>
+    <button class="print" onclick="window.print()">Print</button>
+    <h1>Relief Mission Report</h1>
+    <p class="meta">Generated ${escapeHtml(new Date().toLocaleString())} · ${escapeHtml(summary.strategy)}</p>
+    ${reportMapSvg(results)}
+    <div class="legend">
+        ${results.drones.filter(drone => drone.sorties.length > 0).map(drone => `<span><span class="swatch" style="background: ${routeColor(drone, results.drones.indexOf(drone))};"></span>${escapeHtml(drone.name)}</span>`).join('')}
+        <span><span class="swatch" style="background: ${priorityColors[1]};"></span>Critical</span>
+        <span><span class="swatch" style="background: ${priorityColors[2]};"></span>Moderate</span>
+        <span><span class="swatch" style="background: ${priorityColors[3]};"></span>Low</span>
+    </div>
+    <h2>Summary</h2>
+    <table class="summary">${summaryRows}</table>
+    ${warnings}
+    ${partial}
+    ${drones}
+</body>
+</html>
+`;
+}
+
+/**
+ * Map snapshot for the mission report: routes, zones, depots, stations and
+ * no-fly zones drawn as inline SVG (Web Mercator, no tiles, so the report
+ * needs no network)
+ */
+function reportMapSvg(results) {
+    const width = 900;
+    const height = 520;
+    const pad = 30;
+    const mercator = point => ({
+        x: point.lng,
+        y: Math.log(Math.tan(Math.PI / 4 + point.lat * Math.PI / 360)) * 180 / Math.PI
+    });
+
+    const all = [
+        ...optimizer.zones,
+        ...results.drones.flatMap(drone => drone.path),
+        ...optimizer.noFlyZones.flatMap(zone => zone.points)
+    ].map(mercator);
+    const minX = Math.min(...all.map(p => p.x));
+    const maxX = Math.max(...all.map(p => p.x));
+    const minY = Math.min(...all.map(p => p.y));
+    const maxY = Math.max(...all.map(p => p.y));
+    const scale = Math.min((width - 2 * pad) / Math.max(maxX - minX, 1e-6), (height - 2 * pad) / Math.max(maxY - minY, 1e-6));
+    const offsetX = (width - (maxX - minX) * scale) / 2;
+    const offsetY = (height - (maxY - minY) * scale) / 2;
+
+    const project = point => {
+        const p = mercator(point);
+        return { x: offsetX + (p.x - minX) * scale, y: offsetY + (maxY - p.y) * scale };
+    };
+    const polyline = points => points.map(point => {
+        const p = project(point);
+        return `${p.x.toFixed(1)},${p.y.toFixed(1)}`;
+    }).join(' ');
+
+    const noFly = optimizer.noFlyZones.map(zone =>
+        `<polygon points="${polyline(zone.points)}" fill="#ef4444" fill-opacity="0.15" stroke="#ef4444" stroke-dasharray="6 4"/>`).join('');
+
+    const routes = results.drones.map((drone, idx) => drone.path.length < 2 ? '' :
+        `<polyline points="${polyline(drone.path)}" fill="none" stroke="${routeColor(drone, idx)}" stroke-width="2.5" stroke-opacity="0.8" stroke-linejoin="round"/>`).join('');
+
+    const zones = optimizer.zones.filter(zone => zone.isReliefZone).map(zone => {
+        const p = project(zone);
+        const fill = zone.delivered > 0 ? priorityColors[zone.priority] : '#ffffff';
+        return `<circle cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="6" fill="${fill}" stroke="${priorityColors[zone.priority]}" stroke-width="2"/>
+            <text x="${(p.x + 8).toFixed(1)}" y="${(p.y - 6).toFixed(1)}" font-size="11" fill="#334155">${escapeHtml(zone.label)}</text>`;
+    }).join('');
+
+    const hubs = optimizer.zones.filter(zone => zone.isDepot || zone.isStation).map(zone => {
+        const p = project(zone);
+        const icon = zone.isStation ? '⚡' : zone.id === 0 ? '🏠' : '🏕️';
+        return `<text x="${p.x.toFixed(1)}" y="${p.y.toFixed(1)}" font-size="18" text-anchor="middle" dominant-baseline="central">${icon}</text>`;
+    }).join('');
+
+    // Scale bar: the longest round length that fits in 150 px
+    const centre = optimizer.zones[0] || { lat: 0 };
+    const kmPerPx = 111.32 * Math.cos(centre.lat * Math.PI / 180) / scale;
+    const barKm = [0.5, 1, 2, 5, 10, 20, 50, 100, 200, 500].filter(km => km / kmPerPx <= 150).pop() || 0.5;
+    const barPx = barKm / kmPerPx;
+    const scaleBar = `<g transform="translate(${pad}, ${height - pad / 2})">
+            <line x1="0" y1="0" x2="${barPx.toFixed(1)}" y2="0" stroke="#334155" stroke-width="3"/>
+            <text x="${(barPx + 6).toFixed(1)}" y="4" font-size="11" fill="#334155">${barKm} km</text>
+        </g>`;
+
+    return `<svg class="map" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" font-family="system-ui, sans-serif">
+        <rect width="${width}" height="${height}" fill="#f8fafc"/>
+        ${noFly}${routes}${zones}${hubs}${scaleBar}
+    </svg>`;
+}
+
+/**
+ * Offer text content as a file download
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Zoom the map to the base and every zone, depot and station
+ */
+function fitMapToScenario() {
+    const points = optimizer.zones.map(zone => [zone.lat, zone.lng]);
+    if (points.length > 1) {
+        map.fitBounds(L.latLngBounds(points), { padding: [40, 40] });
+    } else if (points.length === 1) {
+        map.setView(points[0], map.getZoom());
+    }
+}
+
+/**
+ * Zone marker icon; the ring fills up with the share of demand delivered
+ */
+function createZoneIcon(zone) {
+    const color = priorityColors[zone.priority];
+    const fill = zone.demand > 0 ? Math.min(100, zone.delivered / zone.demand * 100) : 0;
+    const background = fill > 0 ?
+        `conic-gradient(${color} ${fill}%, rgba(255, 255, 255, 0.35) ${fill}% 100%)` :
+        color;
+
+    // Zones the plan check flagged get a red ring
+    const flagged = planViolations.some(violation => violation.zoneId === zone.id);
+
+    return L.divIcon({
+        className: 'zone-marker',
+        html: `<div style="
+            background: ${background};
+            width: 24px;
+            height: 24px;
+            border-radius: 50%;
+            border: 3px solid ${fill > 0 ? color : 'white'};
+            box-shadow: ${flagged ? '0 0 0 3px #dc2626, ' : ''}0 2px 8px rgba(0,0,0,0.3);
+        "></div>`,
+        iconSize: [24, 24],
+        iconAnchor: [12, 12]
+    });
+}
+
+/**
+ * Popup content for a zone marker
+ */
+function zonePopupHtml(zone) {
+    const color = priorityColors[zone.priority];
+    const priorityText = zone.priority === 1 ? '🔴 Critical' : zone.priority === 2 ? '🟡 Moderate' : '🟢 Low';
+    const deliveredText = zone.delivered > 0 ?
+        `<p style="margin: 4px 0;"><strong>Delivered:</strong> ${zone.delivered}/${zone.demand} units (${zone.remaining} remaining)</p>` :
+        '';
+    const violationsText = planViolations
+        .filter(violation => violation.zoneId === zone.id)
+        .map(violation => `<p style="margin: 4px 0; color: #dc2626;">⚠ ${escapeHtml(violation.message)}</p>`)
+        .join('');
+
+    return `
+        <div>
+            <h3 style="margin: 0 0 8px 0; color: ${color};">${zone.name ? escapeHtml(zone.name) : 'Relief Zone'}</h3>
+            <p style="margin: 4px 0;"><strong>Priority:</strong> ${priorityText}</p>
+            <p style="margin: 4px 0;"><strong>Demand:</strong> ${zone.demand} units</p>
+            ${deliveredText}
+            ${violationsText}
+            ${zone.hasTimeWindow ? `<p style="margin: 4px 0;"><strong>Window:</strong> ${formatMinutes(zone.earliest)}–${zone.latest < Infinity ? formatMinutes(zone.latest) : 'open'}</p>` : ''}
+            <p style="margin: 4px 0; font-size: 0.85rem;"><strong>Location:</strong> ${zone.lat.toFixed(4)}, ${zone.lng.toFixed(4)}</p>
+            <div class="zone-edit">
+                <select class="input-field" data-field="priority" title="Priority">
+                    <option value="1"${zone.priority === 1 ? ' selected' : ''}>🔴 Critical</option>
+                    <option value="2"${zone.priority === 2 ? ' selected' : ''}>🟡 Moderate</option>
+                    <option value="3"${zone.priority === 3 ? ' selected' : ''}>🟢 Low</option>
+                </select>
+                <input type="number" class="input-field" data-field="demand" value="${zone.demand}" min="0" title="Demand (units)">
+                <button class="btn btn-secondary" data-action="save">Save</button>
+                <button class="btn btn-danger" data-action="delete">Delete</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Optimize routes using the algorithm
+ */
+async function optimizeRoutes(exact = false) {
+    if (!baseMarker) {
+        showToast('Please set a base location first!', 'error');
+        return;
+    }
+
+    if (optimizer.zones.length <= 1) {
+        showToast('Please add some zones first!', 'error');
+        return;
+    }
+
+    if (animationActive) {
+        showToast('Animation already in progress!', 'warning');
+        return;
+    }
+
+    // Clear previous routes and markers
+    clearRoutes();
+    clearDroneMarkers();
+    failedDroneIds = [];
+    clearTimeout(reoptimizeTimer);
+    reoptimizeTimer = null;
+
+    configureOptimizer();
+
+    // The exact solver only takes small instances it can model
+    const refusal = exact ? optimizer.exactUnsupportedReason() : null;
+    if (refusal) {
+        showToast(`Exact mode unavailable: ${refusal}`, 'error');
+        return;
+    }
+
+    try {
+        const outcome = await runOptimization(exact ? 'exact' : 'optimize');
+        if (!outcome) {
+            showToast('Optimization cancelled', 'warning');
+            return;
+        }
+        const results = outcome.results;
+
+        // Display results
+        displayResults(results);
+        updateStats(results);
+        recordRun(results, exact ? 'exact' : 'optimize', outcome.cancelled);
+
+        // Visualize and animate routes
+        animationActive = true;
+        visualizeAndAnimateRoutes(results);
+
+        if (results.summary.criticalWarnings.length > 0) {
+            showCriticalWarning(results.summary.criticalWarnings);
+        } else if (outcome.cancelled) {
+            showToast('Optimization cancelled: showing the best plan found so far', 'warning');
+        } else {
+            showToast(exact ?
+                `Optimal plan found (heuristic gap ${results.summary.optimalityGap}%)` :
+                'Routes optimized! Watch the drones in action.', 'success');
+        }
+    } catch (error) {
+        console.error('Optimization error:', error);
+        showToast('Error during optimization. Check console.', 'error');
+    }
+}
 
-        const priority = priorities[Math.floor(Math.random() * priorities.length)];
-        const demand = Math.floor(Math.random() * 40) + 20; // 20-60 units
+/**
+ * Run the optimizer on the current inputs in a Web Worker (worker.js):
+ * progress shows on the loading overlay and the best plan so far on the
+ * map. The final plan is taken over by the page's optimizer, so re-planning
+ * and the exports work on it as before. Where workers cannot start (e.g.
+ * the page opened from file://) the optimizer runs on this thread instead.
+ * Resolves to { results } (plus runs when comparing, or cancelled when
+ * stopped early with a plan to show), or null when cancelled without one.
+ */
+function runOptimization(mode) {
+    const scenario = optimizer.toScenario();
+    showRunProgress('Optimizing drone routes...', 0);
+    document.getElementById('loadingOverlay').style.display = 'flex';
 
-        addZone(lat, lng, priority, demand);
-    }
+    return new Promise((resolve, reject) => {
+        let worker;
+        try {
+            worker = new Worker('worker.js');
+        } catch (error) {
+            resolve(runInPage(mode));
+            return;
+        }
 
-    showToast(`Generated ${numZones} random zones`, 'success');
+        let heard = false;
+        let bestPlan = null;
+        const finish = (outcome, error = null) => {
+            worker.terminate();
+            if (error) reject(error);
+            else resolve(outcome);
+        };
+        // The page's optimizer evaluates the plan itself (it may reject it)
+        const adopt = (plan, extra) => {
+            try {
+                finish(Object.assign({ results: optimizer.importPlan(plan) }, extra));
+            } catch (error) {
+                finish(null, error);
+            }
+        };
+
+        worker.onmessage = function(event) {
+            const message = event.data;
+            heard = true;
+            if (message.type === 'progress') {
+                showRunProgress(message.phase, message.fraction);
+            } else if (message.type === 'best') {
+                bestPlan = message.plan;
+                drawPreview(bestPlan);
+            } else if (message.type === 'done') {
+                adopt(message.plan, message.runs ? { runs: message.runs } : {});
+            } else if (message.type === 'error') {
+                finish(null, new Error(message.message));
+            }
+        };
+        worker.onerror = function(event) {
+            event.preventDefault();
+            if (heard) {
+                finish(null, new Error(event.message));
+            } else {
+                // The worker script could not load: run here
+                worker.terminate();
+                resolve(runInPage(mode));
+            }
+        };
+
+        // A comparison stopped early has nothing to compare
+        cancelRun = () => {
+            if (bestPlan && mode !== 'compare') adopt(bestPlan, { cancelled: true });
+            else finish(null);
+        };
+
+        worker.postMessage({ type: 'run', mode, scenario });
+    }).finally(() => {
+        cancelRun = null;
+        clearPreview();
+        document.getElementById('loadingOverlay').style.display = 'none';
+    });
 }
 
 /**
- * Handle map click for manual zone addition
+ * runOptimization() on the page's own thread: no progress and no way to
+ * cancel, but a moment for the overlay to show first
  */
-function onMapClick(e) {
-    const priority = parseInt(document.getElementById('zonePriority').value);
-    const demand = parseInt(document.getElementById('zoneDemand').value);
+async function runInPage(mode) {
+    document.getElementById('cancelRunBtn').style.display = 'none';
+    await new Promise(resolve => setTimeout(resolve, 50));
 
-    addZone(e.latlng.lat, e.latlng.lng, priority, demand);
-    showToast(`Zone added: Priority ${priority}, Demand ${demand} units`, 'success');
+    if (mode === 'compare') {
+        const runs = optimizer.compareStrategies();
+        return { results: optimizer.getResults(), runs };
+    }
+    return { results: mode === 'exact' ? optimizer.solveExact() : optimizer.optimize() };
 }
 
 /**
- * Add a zone to map and optimizer
+ * Phase and progress bar on the loading overlay
  */
-function addZone(lat, lng, priority, demand) {
-    // Create zone object
-    const zone = new Zone(0, priority, demand, lat, lng); // ID will be assigned by optimizer
-
-    // Add to optimizer
-    optimizer.addZone(zone);
+function showRunProgress(phase, fraction) {
+    document.getElementById('loadingText').textContent = phase;
+    document.getElementById('loadingProgress').style.width = `${Math.round(fraction * 100)}%`;
+    document.getElementById('cancelRunBtn').style.display = '';
+}
 
-    // Create marker
-    const color = priorityColors[priority];
-    const markerIcon = L.divIcon({
-        className: 'zone-marker',
-        html: `<div style="
-            background-color: ${color};
-            width: 24px;
-            height: 24px;
-            border-radius: 50%;
-            border: 3px solid white;
-            box-shadow: 0 2px 8px rgba(0,0,0,0.3);
-        "></div>`,
-        iconSize: [24, 24],
-        iconAnchor: [12, 12]
+/**
+ * Draw the optimizer's best plan so far (see exportPlan) while it runs
+ */
+function drawPreview(plan) {
+    clearPreview();
+    plan.drones.forEach((drone, idx) => {
+        if (drone.path.length < 2) return;
+
+        // Plan drones come in fleet order
+        const color = routeColor({ homeDepot: { id: optimizer.drones[idx].depotId } }, idx);
+        previewLayers.push(L.polyline(drone.path, {
+            color,
+            weight: 2,
+            opacity: 0.8,
+            dashArray: '4, 6'
+        }).addTo(map));
     });
+}
 
-    const marker = L.marker([lat, lng], { icon: markerIcon }).addTo(map);
+function clearPreview() {
+    previewLayers.forEach(layer => map.removeLayer(layer));
+    previewLayers = [];
+}
 
-    const priorityText = priority === 1 ? '🔴 Critical' : priority === 2 ? '🟡 Moderate' : '🟢 Low';
-    marker.bindPopup(`
-        <div>
-            <h3 style="margin: 0 0 8px 0; color: ${color};">Relief Zone</h3>
-            <p style="margin: 4px 0;"><strong>Priority:</strong> ${priorityText}</p>
-            <p style="margin: 4px 0;"><strong>Demand:</strong> ${demand} units</p>
-            <p style="margin: 4px 0; font-size: 0.85rem;"><strong>Location:</strong> ${lat.toFixed(4)}, ${lng.toFixed(4)}</p>
-        </div>
-    `);
+/**
+ * Load the configured fleet and the sidebar settings into the optimizer
+ * (or another one, e.g. to write the scenario out)
+ */
+function configureOptimizer(target = optimizer) {
+    // Clear old drones and add the configured fleet
+    target.drones = [];
+    fleetConfig.forEach((config, idx) => {
+        const drone = new Drone(idx + 1, config.batteryCapacity, config.payloadCapacity, config.cruiseSpeed, config.name);
+        drone.reserveMargin = config.reserve / 100;
+        drone.depotId = config.depotId;
+        target.addDrone(drone);
+    });
 
-    zoneMarkers.push({ marker, zone });
+    // Battery drain grows with the payload on board
+    target.energyModel = new LinearEnergyModel(parseFloat(document.getElementById('loadFactor').value) / 100);
+
+    // Sortie settings (a horizon of 0 means unlimited mission time, a large-instance threshold of 0 never)
+    const missionHorizon = parseFloat(document.getElementById('missionHorizon').value);
+    target.configure({
+        maxSorties: parseInt(document.getElementById('maxSorties').value),
+        missionHorizon: missionHorizon > 0 ? missionHorizon : Infinity,
+        reloadTime: parseFloat(document.getElementById('reloadTime').value),
+        hardTimeWindows: document.getElementById('hardTimeWindows').checked,
+        openRoutes: document.getElementById('openRoutes').checked,
+        rechargeBetweenSorties: document.getElementById('rechargeBetweenSorties').checked,
+        rechargeTime: parseFloat(document.getElementById('rechargeTime').value),
+        strategy: document.getElementById('solverStrategy').value,
+        improvementTime: parseFloat(document.getElementById('improvementTime').value) || 0,
+        improvementIterations: parseInt(document.getElementById('improvementIterations').value) || 0,
+        largeInstanceZones: parseInt(document.getElementById('largeInstanceZones').value) || Infinity,
+        candidateCount: parseInt(document.getElementById('candidateCount').value) || 8,
+        priorityWeights: ['weightCritical', 'weightModerate', 'weightLow']
+            .map(id => parseFloat(document.getElementById(id).value) || 0),
+        unitValue: parseFloat(document.getElementById('unitValue').value) || 0,
+        distanceCost: parseFloat(document.getElementById('distanceCost').value) || 0,
+        unservedZonePenalty: parseFloat(document.getElementById('unservedZonePenalty').value) || 0,
+        minServedFraction: (parseFloat(document.getElementById('minServedFraction').value) || 0) / 100,
+        balanceMode: document.getElementById('balanceMode').value,
+        balanceWeight: parseFloat(document.getElementById('balanceWeight').value) || 0
+    });
 }
 
 /**
- * Optimize routes using the algorithm
+ * Run every solver strategy on the current zones and fleet, then show
+ * their figures side by side and overlay their routes
  */
-async function optimizeRoutes() {
+async function compareStrategies() {
     if (!baseMarker) {
         showToast('Please set a base location first!', 'error');
         return;
@@ -246,62 +2316,121 @@ async function optimizeRoutes() {
         return;
     }
 
-    // Clear previous routes and markers
     clearRoutes();
     clearDroneMarkers();
+    failedDroneIds = [];
 
-    // Show loading
-    document.getElementById('loadingOverlay').style.display = 'flex';
-
-    // Get drone configuration
-    const numDrones = parseInt(document.getElementById('numDrones').value);
-    const batteryCapacity = parseFloat(document.getElementById('batteryCapacity').value);
-    const payloadCapacity = parseInt(document.getElementById('payloadCapacity').value);
-
-    // Clear old drones and add new ones
-    optimizer.drones = [];
-    for (let i = 1; i <= numDrones; i++) {
-        optimizer.addDrone(new Drone(i, batteryCapacity, payloadCapacity));
-    }
-
-    // Small delay to show loading animation
-    await new Promise(resolve => setTimeout(resolve, 500));
+    configureOptimizer();
 
     try {
-        // Run optimization
-        const results = optimizer.optimize();
-
-        // Hide loading
-        document.getElementById('loadingOverlay').style.display = 'none';
-
-        // Display results
-        displayResults(results);
-        updateStats(results);
+        const outcome = await runOptimization('compare');
+        if (!outcome) {
+            showToast('Comparison cancelled', 'warning');
+            return;
+        }
+        const runs = outcome.runs;
 
-        // Visualize and animate routes
-        animationActive = true;
-        visualizeAndAnimateRoutes(results);
+        displayComparison(runs);
+        const selected = runs.find(run => run.name === optimizer.settings.strategy) || runs[0];
+        updateStats(selected.results);
 
-        showToast('Routes optimized! Watch the drones in action.', 'success');
+        showToast(`Compared ${runs.length} strategies`, 'success');
     } catch (error) {
-        console.error('Optimization error:', error);
-        document.getElementById('loadingOverlay').style.display = 'none';
-        showToast('Error during optimization. Check console.', 'error');
+        console.error('Comparison error:', error);
+        showToast('Error during comparison. Check console.', 'error');
     }
 }
 
 /**
- * Visualize and animate routes on map
+ * Comparison table of strategy runs, with a toggle per strategy for its
+ * route overlay on the map
  */
-function visualizeAndAnimateRoutes(results) {
-    results.drones.forEach((drone, idx) => {
-        if (drone.route.length < 2) return;
+function displayComparison(runs) {
+    const resultsCard = document.getElementById('resultsCard');
+    const resultsContent = document.getElementById('resultsContent');
+
+    resultsCard.style.display = 'block';
+    resultsContent.innerHTML = '';
+    // Several plans are on show: the exports need one picked and optimized
+    lastResults = null;
+    workspacePlan = null;
+    document.getElementById('exportMenu').style.display = 'none';
+    planViolations = [];
+    flagViolatedZones();
+
+    const bestDistance = Math.min(...runs.map(run => parseFloat(run.results.summary.totalDistance)));
+    const mostServed = Math.max(...runs.map(run => run.results.summary.zonesServed));
+    const mostCritical = Math.max(...runs.map(run => run.results.summary.criticalServed));
+    const bestScore = Math.max(...runs.map(run => parseFloat(run.results.summary.missionScore)));
+
+    const rows = runs.map((run, i) => {
+        const summary = run.results.summary;
+        return `
+            <tr>
+                <td><input type="checkbox" data-run="${i}" checked title="Show routes"></td>
+                <td style="color: ${strategyColors[i % strategyColors.length]};">■ ${escapeHtml(run.label)}</td>
+                <td class="${parseFloat(summary.missionScore) === bestScore ? 'best' : ''}">${summary.missionScore}</td>
+                <td class="${parseFloat(summary.totalDistance) === bestDistance ? 'best' : ''}">${summary.totalDistance} km</td>
+                <td class="${summary.zonesServed === mostServed ? 'best' : ''}">${summary.zonesServed}/${summary.totalZones}</td>
+                <td class="${summary.criticalServed === mostCritical ? 'best' : ''}">${summary.criticalServed}/${summary.totalCritical}</td>
+                <td>${summary.executionTime} ms</td>
+                <td title="${escapeHtml(summary.violations.map(violation => violation.message).join('\n'))}">${summary.violations.length === 0 ? '✓' : `⚠ ${summary.violations.length}`}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const compareDiv = document.createElement('div');
+    compareDiv.className = 'summary-section';
+    compareDiv.innerHTML = `
+        <h4>⚖️ Strategy Comparison</h4>
+        <table class="stop-table compare-table">
+            <tr><th></th><th>Strategy</th><th>Score</th><th>Distance</th><th>Zones</th><th>Critical</th><th>Runtime</th><th>Check</th></tr>
+            ${rows}
+        </table>
+    `;
+    resultsContent.appendChild(compareDiv);
+
+    // One overlay per strategy, dashed differently so shared legs stay visible
+    const overlays = runs.map((run, i) => {
+        const color = strategyColors[i % strategyColors.length];
+        const layer = L.layerGroup();
+        run.results.drones.forEach(drone => {
+            if (drone.path.length < 2) return;
+            L.polyline(drone.path.map(zone => [zone.lat, zone.lng]), {
+                color,
+                weight: 3,
+                opacity: 0.7,
+                dashArray: i === 0 ? null : `${4 + 4 * i}, ${4 + 2 * i}`
+            }).bindPopup(`<h3 style="margin: 0; color: ${color};">${escapeHtml(run.label)}: ${escapeHtml(drone.name)}</h3>`).addTo(layer);
+        });
+        layer.addTo(map);
+        routePolylines.push(layer);
+        return layer;
+    });
+
+    compareDiv.querySelectorAll('input[data-run]').forEach(input => {
+        input.addEventListener('change', function() {
+            const layer = overlays[parseInt(this.dataset.run)];
+            if (this.checked) {
+                layer.addTo(map);
+            } else {
+                map.removeLayer(layer);
+            }
+        });
+    });
+}
 
-        const color = droneColors[idx % droneColors.length];
-        const coordinates = drone.route.map(zone => [zone.lat, zone.lng]);
+/**
+ * Visualize and animate routes on map. After a re-plan the drones carry on
+ * from where their markers are instead of restarting.
+ */
+function visualizeAndAnimateRoutes(results, replanned = false) {
+    results.drones.forEach((drone, idx) => {
+        if (drone.path.length < 2) return;
 
-        // Add return to base
-        coordinates.push([optimizer.baseLocation.lat, optimizer.baseLocation.lng]);
+        const color = routeColor(drone, idx);
+        // Path already includes the return to base after every sortie
+        const coordinates = drone.path.map(zone => [zone.lat, zone.lng]);
 
         // Create initial dashed polyline
         const polyline = L.polyline(coordinates, {
@@ -313,54 +2442,95 @@ function visualizeAndAnimateRoutes(results) {
 
         polyline.bindPopup(`
             <div style="text-align: center;">
-                <h3 style="margin: 0 0 8px 0; color: ${color};">Drone ${drone.id} Route</h3>
+                <h3 style="margin: 0 0 8px 0; color: ${color};">${escapeHtml(drone.name)} Route</h3>
                 <p style="margin: 4px 0;"><strong>Distance:</strong> ${drone.totalDistance.toFixed(2)} km</p>
-                <p style="margin: 4px 0;"><strong>Zones:</strong> ${drone.route.length - 1}</p>
+                <p style="margin: 4px 0;"><strong>Zones:</strong> ${countZonesVisited(drone)}</p>
+                <p style="margin: 4px 0;"><strong>Sorties:</strong> ${drone.sorties.length}</p>
             </div>
         `);
 
         routePolylines.push(polyline);
 
-        // Create drone marker
-        const droneIcon = L.divIcon({
-            className: 'drone-marker',
-            html: `<div style="
-                font-size: 1.5rem;
-                color: ${color};
-                text-shadow: 0 0 5px ${color};
-                animation: pulse 1s infinite;
-            ">🚁</div>`,
-            iconSize: [30, 30],
-            iconAnchor: [15, 15]
+        // Ring the recharge stops this drone makes
+        drone.route.filter(zone => zone.isStation).forEach(station => {
+            const stop = L.circleMarker([station.lat, station.lng], {
+                radius: 14,
+                color: color,
+                weight: 3,
+                fill: false
+            }).addTo(map);
+            stop.bindPopup(`<h3 style="margin: 0; color: ${color};">${escapeHtml(drone.name)} recharges at ⚡ ${escapeHtml(station.name)}</h3>`);
+            routePolylines.push(stop);
         });
 
-        const droneMarker = L.marker([coordinates[0][0], coordinates[0][1]], { icon: droneIcon }).addTo(map);
-        droneMarker.bindPopup(`<h3 style="color: ${color};">Drone ${drone.id}</h3>`);
+        // Re-planned drones keep their marker; the new path starts where it is
+        const previous = droneAnimations.find(animation => animation.droneId === drone.id);
+        let droneMarker = previous ? previous.marker : null;
+
+        if (!droneMarker) {
+            // Create drone marker
+            const droneIcon = L.divIcon({
+                className: 'drone-marker',
+                html: `<div style="
+                    font-size: 1.5rem;
+                    color: ${color};
+                    text-shadow: 0 0 5px ${color};
+                    animation: pulse 1s infinite;
+                ">🚁</div>`,
+                iconSize: [30, 30],
+                iconAnchor: [15, 15]
+            });
+
+            droneMarker = L.marker([coordinates[0][0], coordinates[0][1]], { icon: droneIcon }).addTo(map);
+            droneMarker.bindPopup(`<h3 style="color: ${color};">${escapeHtml(drone.name)}</h3>`);
+
+            droneMarkers.push(droneMarker);
+        }
 
-        droneMarkers.push(droneMarker);
+        const animation = {
+            droneId: drone.id,
+            marker: droneMarker,
+            color,
+            coordinates,
+            trail: previous ? previous.trail : [], // Paths flown before earlier re-plans
+            segmentIndex: 0,
+            progress: 0,
+            flownKm: 0,
+            finished: false,
+            stopped: false,
+            timer: null,
+            frameId: null
+        };
+        droneAnimations = droneAnimations.filter(item => item !== previous).concat(animation);
 
         // Start animation after a short delay for staggering
-        setTimeout(() => {
-            animateDrone(droneMarker, coordinates, color, () => {
+        animation.timer = setTimeout(() => {
+            animateDrone(animation, () => {
                 // On complete: solidify polyline and add arrows
                 polyline.setStyle({ opacity: 0.7, dashArray: null });
                 addDirectionalArrows(coordinates, color);
-                if (droneMarkers.every(m => !m.isAnimating)) {
+                if (droneAnimations.every(item => item.finished)) {
                     animationActive = false;
-                    updateZoneMarkers(results);
+                    updateZoneMarkers();
                     showToast('All drones have completed their routes!', 'success');
                 }
             });
-        }, idx * 500); // Stagger start by 500ms per drone
+        }, replanned ? 0 : idx * 500); // Stagger start by 500ms per drone
     });
+
+    // Nothing to fly
+    if (droneAnimations.every(animation => animation.finished)) {
+        animationActive = false;
+    }
 }
 
 /**
- * Animate a single drone along its route
+ * Animate a single drone along its route, keeping track of the distance
+ * flown so a re-plan knows where the drone is
  */
-function animateDrone(marker, coordinates, color, onComplete) {
-    let segmentIndex = 0;
-    let progress = 0;
+function animateDrone(animation, onComplete) {
+    const { marker, coordinates } = animation;
+    let flownBefore = 0; // km of completed segments
     let totalDistance = 0;
 
     // Calculate total route distance for timing
@@ -370,39 +2540,137 @@ function animateDrone(marker, coordinates, color, onComplete) {
     }
 
     function animate() {
-        if (segmentIndex >= coordinates.length - 1) {
-            marker.isAnimating = false;
+        if (animation.stopped) return;
+
+        if (animation.segmentIndex >= coordinates.length - 1) {
+            animation.finished = true;
             onComplete();
             return;
         }
 
-        const start = coordinates[segmentIndex];
-        const end = coordinates[segmentIndex + 1];
+        const start = coordinates[animation.segmentIndex];
+        const end = coordinates[animation.segmentIndex + 1];
         const segmentDist = calculateHaversineDistance(start, end);
 
         // Time for this segment (ms)
         const segmentTime = (segmentDist / totalDistance) * (totalDistance * ANIMATION_SPEED);
 
         // Interpolate position
-        const lat = start[0] + (end[0] - start[0]) * progress;
-        const lng = start[1] + (end[1] - start[1]) * progress;
+        const lat = start[0] + (end[0] - start[0]) * animation.progress;
+        const lng = start[1] + (end[1] - start[1]) * animation.progress;
 
         marker.setLatLng([lat, lng]);
+        animation.flownKm = flownBefore + segmentDist * animation.progress;
 
-        progress += 0.01; // Adjust for smoothness (smaller = smoother but slower)
+        animation.progress += 0.01; // Adjust for smoothness (smaller = smoother but slower)
 
-        if (progress >= 1) {
-            progress = 0;
-            segmentIndex++;
+        if (animation.progress >= 1) {
+            animation.progress = 0;
+            animation.segmentIndex++;
+            flownBefore += segmentDist;
         }
 
-        requestAnimationFrame(animate);
+        animation.frameId = requestAnimationFrame(animate);
     }
 
-    marker.isAnimating = true;
     animate();
 }
 
+/**
+ * Stop a drone's animation where it is
+ */
+function stopAnimation(animation) {
+    clearTimeout(animation.timer);
+    cancelAnimationFrame(animation.frameId);
+    animation.stopped = true;
+}
+
+/**
+ * Re-plan the rest of the mission from where the drones are right now:
+ * their battery and payload left, zones clicked in since the last plan and
+ * drones marked as failed. The flown part of every path stays on the map.
+ */
+function replanMission() {
+    if (droneAnimations.length === 0) {
+        showToast('Optimize routes before re-planning!', 'error');
+        return;
+    }
+
+    // Freeze every drone and read its state off the current plan
+    const states = new Map();
+    optimizer.drones.forEach(drone => {
+        const animation = droneAnimations.find(item => item.droneId === drone.id);
+        let flownKm = Infinity; // Drones that finished (or never flew) are at their depot
+
+        // Keep the flown path (leftovers from earlier plans are already kept)
+        if (animation && !animation.stopped) {
+            stopAnimation(animation);
+            if (!animation.finished) {
+                flownKm = animation.flownKm;
+                const position = animation.marker.getLatLng();
+                animation.trail.push([...animation.coordinates.slice(0, animation.segmentIndex + 1), [position.lat, position.lng]]);
+            } else {
+                animation.trail.push(animation.coordinates);
+            }
+            animation.finished = true;
+        }
+
+        states.set(drone, optimizer.droneStateAt(drone, flownKm));
+    });
+
+    try {
+        const results = optimizer.replan(states, failedDroneIds);
+
+        // Old plan off the map, flown paths stay
+        clearRoutes();
+        droneAnimations.forEach(animation => {
+            animation.trail.forEach(coordinates => {
+                const flown = L.polyline(coordinates, { color: animation.color, weight: 2, opacity: 0.35 }).addTo(map);
+                routePolylines.push(flown);
+            });
+        });
+
+        displayResults(results);
+        updateStats(results);
+
+        // Plans from mid-mission positions are not kept with the workspace
+        workspacePlan = null;
+        scheduleWorkspaceSave();
+
+        animationActive = true;
+        visualizeAndAnimateRoutes(results, true);
+
+        if (results.summary.criticalWarnings.length > 0) {
+            showCriticalWarning(results.summary.criticalWarnings);
+        } else {
+            showToast('Mission re-planned from the drones\' current positions', 'success');
+        }
+    } catch (error) {
+        console.error('Re-planning error:', error);
+        showToast('Error during re-planning. Check console.', 'error');
+    }
+}
+
+/**
+ * Ground a drone mid-mission and re-plan its remaining work onto the others
+ */
+function markDroneFailed(droneId) {
+    if (failedDroneIds.includes(droneId)) return;
+    failedDroneIds.push(droneId);
+
+    const animation = droneAnimations.find(item => item.droneId === droneId);
+    if (animation) {
+        animation.marker.setIcon(L.divIcon({
+            className: 'drone-marker',
+            html: '<div style="font-size: 1.5rem; filter: grayscale(1);">💥</div>',
+            iconSize: [30, 30],
+            iconAnchor: [15, 15]
+        }));
+    }
+
+    replanMission();
+}
+
 /**
  * Calculate Haversine distance between two points (in km) - helper for animation
  */
@@ -450,8 +2718,11 @@ function calculateAngle(from, to) {
  * Clear drone markers
  */
 function clearDroneMarkers() {
+    droneAnimations.forEach(stopAnimation);
+    droneAnimations = [];
     droneMarkers.forEach(marker => map.removeLayer(marker));
     droneMarkers = [];
+    animationActive = false;
 }
 
 /**
@@ -463,35 +2734,62 @@ function displayResults(results) {
 
     resultsCard.style.display = 'block';
     resultsContent.innerHTML = '';
+    lastResults = results;
+    document.getElementById('exportMenu').style.display = '';
+
+    // The plan check, plus whether the map shows the zones the plan refers to
+    planViolations = [...results.summary.violations, ...optimizer.checkDisplayedZones(zoneMarkers.map(item => item.zone))];
+    flagViolatedZones();
+    if (planViolations.length > 0) {
+        showToast(`Plan check failed: ${escapeHtml(planViolations[0].message)}${planViolations.length > 1 ? ` (+${planViolations.length - 1} more)` : ''}`, 'error');
+    }
+
+    // Shared time scale so drone timelines line up
+    const missionEnd = Math.max(1, ...results.drones.map(drone => drone.missionTime));
 
     // Display each drone's route
     results.drones.forEach((drone, idx) => {
         const droneDiv = document.createElement('div');
         droneDiv.className = 'drone-result';
 
-        const routePath = drone.route.map(zone => {
-            if (zone.id === 0) return 'Base';
-            return `Zone${zone.id}(P${zone.priority})`;
-        }).join(' → ');
+        const sortiesHtml = drone.sorties.map(sortie => `
+            <div class="sortie-header">
+                <span>Sortie ${sortie.number} · ${formatMinutes(sortie.startTime)}–${formatMinutes(sortie.endTime)}</span>
+                <span>${sortie.totalDistance.toFixed(2)} km · ${sortie.totalDelivered} units · ${sortie.batteryUsage}% battery</span>
+            </div>
+            <div class="route-path">
+                ${formatRoutePath(sortie.route, sortie.drops)} → ${depotLabel(sortie.endDepot)}
+            </div>
+            ${formatStopTable(sortie)}
+        `).join('');
 
         droneDiv.innerHTML = `
             <h4 style="color: ${droneColors[idx % droneColors.length]};">
-                🚁 Drone ${drone.id}
+                🚁 ${escapeHtml(drone.name)}
+                ${drone.failed ? '<span class="drone-status failed">Failed</span>' : '<button class="btn-icon fail-drone" title="Mark as failed and re-plan">✖ Failed</button>'}
             </h4>
             <div class="route-info">
+                <p><strong>Depot:</strong> <span>${escapeHtml(drone.homeDepot.name)}</span></p>
+                <p><strong>Airframe:</strong> <span>${drone.batteryCapacity} km · ${drone.payloadCapacity} units · ${drone.cruiseSpeed} km/h</span></p>
                 <p><strong>Distance:</strong> <span>${drone.totalDistance.toFixed(2)} km</span></p>
                 <p><strong>Battery Usage:</strong> <span>${drone.batteryUsage}%</span></p>
                 <div class="battery-bar">
-                    <div class="battery-fill" style="width: ${drone.batteryUsage}%"></div>
+                    <div class="battery-fill" style="width: ${Math.min(100, drone.batteryUsage)}%"></div>
                 </div>
                 <p><strong>Supplies Delivered:</strong> <span>${drone.totalDelivered} units</span></p>
-                <p><strong>Zones Visited:</strong> <span>${drone.route.length - 1}</span></p>
+                <p><strong>Zones Visited:</strong> <span>${countZonesVisited(drone)}</span></p>
+                <p><strong>Sorties Flown:</strong> <span>${drone.sorties.length}</span></p>
+                <p><strong>Back at Base:</strong> <span>${formatMinutes(drone.missionTime)}</span></p>
             </div>
-            <div class="route-path">
-                ${routePath}
+            ${formatTimeline(drone, missionEnd, droneColors[idx % droneColors.length])}
+            <div class="sortie-list">
+                ${sortiesHtml}
             </div>
         `;
 
+        const failButton = droneDiv.querySelector('.fail-drone');
+        if (failButton) failButton.addEventListener('click', () => markDroneFailed(drone.id));
+
         resultsContent.appendChild(droneDiv);
     });
 
@@ -501,6 +2799,14 @@ function displayResults(results) {
     summaryDiv.innerHTML = `
         <h4>📊 Summary</h4>
         <div class="summary-grid">
+            <div class="summary-item">
+                <span class="label">Strategy</span>
+                <span class="value">${results.summary.strategy}</span>
+            </div>
+            <div class="summary-item">
+                <span class="label">Mission Score</span>
+                <span class="value">${results.summary.missionScore}</span>
+            </div>
             <div class="summary-item">
                 <span class="label">Total Zones</span>
                 <span class="value">${results.summary.totalZones}</span>
@@ -525,29 +2831,286 @@ function displayResults(results) {
                 <span class="label">Total Distance</span>
                 <span class="value">${results.summary.totalDistance} km</span>
             </div>
+            <div class="summary-item">
+                <span class="label">Distance Bound</span>
+                <span class="value">≥ ${results.summary.distanceLowerBound} km</span>
+            </div>
+            <div class="summary-item">
+                <span class="label">Partially Served</span>
+                <span class="value">${results.summary.partiallyServed}</span>
+            </div>
+            <div class="summary-item">
+                <span class="label">Remaining Demand</span>
+                <span class="value">${results.summary.remainingDemand} units</span>
+            </div>
+            <div class="summary-item">
+                <span class="label">Late Stops</span>
+                <span class="value">${results.summary.lateStops} (${results.summary.totalLateness} min)</span>
+            </div>
+            <div class="summary-item">
+                <span class="label">Missed Windows</span>
+                <span class="value">${results.summary.missedWindows.length > 0 ? results.summary.missedWindows.map(reliefZoneLabel).join(', ') : 'None'}</span>
+            </div>
+            <div class="summary-item">
+                <span class="label">Sorties Flown</span>
+                <span class="value">${results.summary.totalSorties}</span>
+            </div>
+            <div class="summary-item">
+                <span class="label">Mission Time</span>
+                <span class="value">${formatMinutes(results.summary.missionTime)}</span>
+            </div>
+            <div class="summary-item">
+                <span class="label">Zone Fairness (Jain / Gini)</span>
+                <span class="value">${results.summary.fairness.zoneJain} / ${results.summary.fairness.zoneGini}</span>
+            </div>
+            <div class="summary-item">
+                <span class="label">Drone Workload (Jain / Gini)</span>
+                <span class="value">${results.summary.fairness.droneJain} / ${results.summary.fairness.droneGini}</span>
+            </div>
+            <div class="summary-item">
+                <span class="label">Improvement</span>
+                <span class="value">${results.summary.improvement}% (${results.summary.improvementIterations} it.)</span>
+            </div>
         </div>
+        ${formatViolations(planViolations)}
+        ${formatCriticalWarnings(results.summary.criticalWarnings)}
+        ${formatOptimalityGap(results.summary)}
+        ${formatPartialZones(results.summary.partialZones)}
+        ${formatDepotSummary(results.summary.depots)}
     `;
 
     resultsContent.appendChild(summaryDiv);
 }
 
 /**
- * Update zone markers to show served status
+ * Work shipped out of each depot (only shown with forward bases)
  */
-function updateZoneMarkers(results) {
-    const servedZones = new Set();
-    results.drones.forEach(drone => {
-        drone.routeIndices.forEach(idx => {
-            if (idx !== 0) servedZones.add(idx - 1); // Adjust for base at index 0
-        });
+function formatDepotSummary(depots) {
+    if (depots.length < 2) return '';
+
+    const rows = depots.map((depot, i) => `
+        <tr>
+            <td style="color: ${depotColors[i % depotColors.length]};">■ ${escapeHtml(depot.name)}</td>
+            <td>${depot.sorties}</td>
+            <td>${depot.zonesServed}</td>
+            <td>${depot.unitsShipped}</td>
+            <td>${depot.stockLeft === Infinity ? '∞' : depot.stockLeft}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <table class="stop-table depot-table">
+            <tr><th>Depot</th><th>Sorties</th><th>Zones</th><th>Shipped</th><th>Stock Left</th></tr>
+            ${rows}
+        </table>
+    `;
+}
+
+/**
+ * Exact solve: optimal cost against the heuristic on the same model
+ */
+function formatOptimalityGap(summary) {
+    if (summary.optimalityGap === undefined) return '';
+
+    return `
+        <table class="stop-table depot-table">
+            <tr><th>Optimal Cost</th><th>Heuristic Cost</th><th>Heuristic Gap</th></tr>
+            <tr>
+                <td>${summary.optimalCost}</td>
+                <td>${summary.heuristicCost}</td>
+                <td><strong>${summary.optimalityGap}%</strong></td>
+            </tr>
+        </table>
+    `;
+}
+
+/**
+ * Reasons the fleet provably cannot serve every critical zone
+ */
+function formatCriticalWarnings(warnings) {
+    if (warnings.length === 0) return '';
+
+    const items = warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('');
+
+    return `<ul class="critical-warnings">${items}</ul>`;
+}
+
+/**
+ * Plan check outcome: a pass line, or every violation with its rule
+ */
+function formatViolations(violations) {
+    if (violations.length === 0) {
+        return '<p class="plan-check passed">✓ Plan check passed: battery, payload, depots, visits and ids</p>';
+    }
+
+    const items = violations.map(violation => `<li><strong>${violation.rule}</strong>: ${escapeHtml(violation.message)}</li>`).join('');
+
+    return `<div class="plan-check failed"><strong>⚠ Plan check found ${violations.length} violation(s)</strong><ul>${items}</ul></div>`;
+}
+
+/**
+ * Redraw the zone markers whose plan-check flag changed
+ */
+function flagViolatedZones() {
+    zoneMarkers.forEach(item => {
+        const flagged = planViolations.some(violation => violation.zoneId === item.zone.id);
+        if (flagged === Boolean(item.flagged)) return;
+
+        item.flagged = flagged;
+        item.marker.setIcon(createZoneIcon(item.zone));
+        item.marker.setPopupContent(zonePopupHtml(item.zone));
     });
+}
 
-    zoneMarkers.forEach((item, idx) => {
-        if (servedZones.has(idx)) {
-            item.marker.setOpacity(1);
-        } else {
-            item.marker.setOpacity(0.4);
-        }
+/**
+ * Toast in place of the success message when critical zones are out of reach
+ */
+function showCriticalWarning(warnings) {
+    showToast(`Not every critical zone can be served: ${escapeHtml(warnings[0])}${warnings.length > 1 ? ` (+${warnings.length - 1} more)` : ''}`, 'warning');
+}
+
+/**
+ * List partially served zones with their remaining demand
+ */
+function formatPartialZones(partialZones) {
+    if (partialZones.length === 0) return '';
+
+    const items = partialZones.map(zone =>
+        `<li>${escapeHtml(zone.name)}(P${zone.priority}): ${zone.delivered}/${zone.demand} units, ${zone.remaining} remaining</li>`
+    ).join('');
+
+    return `<ul class="partial-zones">${items}</ul>`;
+}
+
+/**
+ * Format a list of route zones as "Base → Zone3(P1) → ..." (named zones by name)
+ * Split drops are marked with the units actually dropped, e.g. "Zone3(P1)×40"
+ */
+function formatRoutePath(route, drops = []) {
+    return route.map((zone, i) => {
+        if (!zone.isReliefZone) return stopLabel(zone);
+        const split = drops[i] !== undefined && drops[i] < zone.demand ? `×${drops[i]}` : '';
+        return `${escapeHtml(zone.label)}(P${zone.priority})${split}`;
+    }).join(' → ');
+}
+
+/**
+ * Timeline bar of a drone: flight legs in the drone colour, waiting hatched,
+ * drop-offs solid (red when late), gaps are turnarounds at base
+ */
+function formatTimeline(drone, missionEnd, color) {
+    const percent = minutes => (minutes / missionEnd * 100).toFixed(2);
+    const segment = (className, from, to, style = '') =>
+        to > from ? `<div class="timeline-segment ${className}" style="left: ${percent(from)}%; width: ${percent(to - from)}%; ${style}"></div>` : '';
+
+    const segments = drone.sorties.map(sortie => {
+        let html = segment('flight', sortie.startTime, sortie.endTime, `background: ${color}; opacity: 0.6;`);
+        sortie.stops.forEach(stop => {
+            html += segment('wait', stop.arrival, stop.serviceStart);
+            // Drop-offs are at least a visible tick wide
+            html += segment(stop.lateness > 0 ? 'late' : 'service', stop.serviceStart, Math.max(stop.departure, stop.serviceStart + missionEnd / 200));
+        });
+        return html;
+    }).join('');
+
+    return `
+        <div class="timeline">${segments}</div>
+        <div class="timeline-axis"><span>0:00</span><span>${formatMinutes(missionEnd)}</span></div>
+    `;
+}
+
+/**
+ * Per-stop table of a sortie: ETA, window, and the payload and battery on
+ * the leg flown to reach each stop (last row is the return to base)
+ */
+function formatStopTable(sortie) {
+    const rows = sortie.legs.map((leg, k) => {
+        const stop = sortie.stops[k];
+        const late = stop && stop.lateness > 0;
+
+        return `
+            <tr class="${late ? 'late' : ''}">
+                <td>${stopLabel(stop ? stop.zone : leg.to)}</td>
+                <td>${formatMinutes(stop ? stop.arrival : sortie.endTime)}</td>
+                <td>${stop && stop.wait > 0 ? `${stop.wait.toFixed(0)} min` : '–'}</td>
+                <td>${stop && stop.zone.latest < Infinity ? formatMinutes(stop.zone.latest) : '–'}</td>
+                <td>${leg.payload}</td>
+                <td>${leg.energy.toFixed(1)}</td>
+                <td>${leg.remainingPercent.toFixed(0)}%</td>
+                <td>${late ? `+${stop.lateness.toFixed(0)} min` : stop ? 'on time' : ''}</td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <table class="stop-table">
+            <tr><th>Stop</th><th>ETA</th><th>Wait</th><th>Due</th><th>Load</th><th>Energy</th><th>Charge</th><th>Status</th></tr>
+            ${rows}
+        </table>
+    `;
+}
+
+/**
+ * Route text label of a depot ("Base" when it is the only one)
+ */
+function depotLabel(depot) {
+    return optimizer.getDepots().length > 1 ? escapeHtml(depot.name) : 'Base';
+}
+
+/**
+ * Short label of any route node: depot, charging station or relief zone
+ */
+function stopLabel(zone) {
+    if (zone.isDepot) return depotLabel(zone);
+    if (zone.isStation) return `⚡${escapeHtml(zone.name)}`;
+    if (zone.isPosition) return '📍In flight';
+    return escapeHtml(zone.label);
+}
+
+/**
+ * Label of a relief zone by id (its name when it has one)
+ */
+function reliefZoneLabel(id) {
+    const zone = optimizer.zones.find(z => z.isReliefZone && z.id === id);
+    return escapeHtml(zone ? zone.label : `Zone${id}`);
+}
+
+/**
+ * Text safe to put in markup (names come from imported files)
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Count zone stops of a drone across all its sorties
+ */
+function countZonesVisited(drone) {
+    return drone.route.filter(zone => zone.isReliefZone).length;
+}
+
+/**
+ * Format mission minutes as h:mm
+ */
+function formatMinutes(minutes) {
+    const total = Math.round(Number(minutes));
+    const hours = Math.floor(total / 60);
+    const mins = String(total % 60).padStart(2, '0');
+    return `${hours}:${mins}`;
+}
+
+/**
+ * Update zone markers to show served status and partial fill
+ */
+function updateZoneMarkers() {
+    zoneMarkers.forEach(item => {
+        item.marker.setIcon(createZoneIcon(item.zone));
+        item.marker.setPopupContent(zonePopupHtml(item.zone));
+        item.marker.setOpacity(item.zone.delivered > 0 ? 1 : 0.4);
     });
 }
 
@@ -559,10 +3122,50 @@ function updateStats(results) {
     statsBar.style.display = 'flex';
 
     document.getElementById('execTime').textContent = `${results.summary.executionTime} ms`;
+    document.getElementById('missionScore').textContent = results.summary.missionScore;
     document.getElementById('totalDist').textContent = `${results.summary.totalDistance} km`;
+    document.getElementById('distanceBound').textContent = `distance ≥ ${results.summary.distanceLowerBound} km`;
     document.getElementById('zonesServed').textContent = `${results.summary.zonesServed}/${results.summary.totalZones}`;
     document.getElementById('criticalServed').textContent = `${results.summary.criticalServed}/${results.summary.totalCritical}`;
     document.getElementById('batteryUsage').textContent = `${results.summary.avgBatteryUsage}%`;
+    drawConvergence(results.convergence);
+}
+
+/**
+ * Plot the best plan cost per improvement iteration in the stats bar
+ */
+function drawConvergence(convergence) {
+    const item = document.getElementById('convergenceItem');
+    if (convergence.length < 2) {
+        item.style.display = 'none';
+        return;
+    }
+    item.style.display = 'flex';
+
+    const canvas = document.getElementById('convergenceChart');
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const first = convergence[0];
+    const last = convergence[convergence.length - 1];
+    const range = first - last || 1; // Best cost never goes up
+
+    // One sample per pixel column, highest cost at the top
+    ctx.strokeStyle = '#2563eb';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    for (let x = 0; x < canvas.width; x++) {
+        const value = convergence[Math.floor(x / (canvas.width - 1) * (convergence.length - 1))];
+        const y = 2 + (first - value) / range * (canvas.height - 4);
+        if (x === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    }
+    ctx.stroke();
+
+    canvas.title = `${first.toFixed(2)} → ${last.toFixed(2)} over ${convergence.length} iterations`;
 }
 
 /**
@@ -580,11 +3183,15 @@ function clearZones() {
     zoneMarkers.forEach(item => map.removeLayer(item.marker));
     zoneMarkers = [];
 
-    // Keep only base in optimizer
-    if (optimizer.zones.length > 0) {
-        const base = optimizer.zones[0];
-        optimizer.zones = [base];
-    }
+    // Keep only the depots and stations in optimizer
+    optimizer.clearZones();
+    resetHistory();
+
+    // The current plan flies to these zones
+    clearRoutes();
+    clearDroneMarkers();
+    clearTimeout(reoptimizeTimer);
+    reoptimizeTimer = null;
 }
 
 /**
@@ -594,6 +3201,13 @@ function clearAll() {
     clearRoutes();
     clearZones();
     clearDroneMarkers();
+    noFlyLayers.forEach(layer => map.removeLayer(layer));
+    noFlyLayers = [];
+    depotMarkers.forEach(item => map.removeLayer(item.marker));
+    depotMarkers = [];
+    stationMarkers.forEach(item => map.removeLayer(item.marker));
+    stationMarkers = [];
+    fleetConfig.forEach(config => config.depotId = 0);
     animationActive = false;
 
     if (baseMarker) {
@@ -602,6 +3216,9 @@ function clearAll() {
     }
 
     optimizer.clear();
+    lastResults = null;
+    planViolations = [];
+    workspacePlan = null;
 
     document.getElementById('resultsCard').style.display = 'none';
     document.getElementById('statsBar').style.display = 'none';
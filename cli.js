@@ -0,0 +1,405 @@
+/**
+ * COMMAND-LINE PLANNER
+ * Plans a saved scenario, or benchmarks the optimizer on generated
+ * instances, on plain Node.js (no browser)
+ *
+ * Usage:
+ *   node cli.js plan <scenario.json> [--format table|json] [--strategy name] [--improve ms] [--exact]
+ *   node cli.js bench [--sizes 25,50,100,200,400] [--drones 1,2,4] [--runs 3] [--seed 1] [--layout disk]
+ *                     [--mode dense|large|both] [--format table|json]
+ *
+ * The dense path keeps an n × n distance matrix; large-instance mode (see
+ * buildSpatialIndex in algorithm.js) a k-d tree and distances on demand.
+ * Compare them with, for example (--expose-gc for exact heap figures):
+ *   node --expose-gc cli.js bench --sizes 500,1000,2000,4000 --drones 4 --mode both
+ */
+
+const fs = require('fs');
+const { DroneDeliveryOptimizer, Drone, ZoneGenerator } = require('./algorithm.js');
+
+const USAGE = `Usage:
+  node cli.js plan <scenario.json> [options]
+      --format table|json   Output (default: table)
+      --strategy <name>     Solver strategy (default: the scenario's)
+      --improve <ms>        Simulated annealing time after construction
+      --exact               Provably optimal plan (small instances only)
+
+  node cli.js bench [options]
+      --sizes 25,50,100     Relief zone counts n (default: 25,50,100,200,400)
+      --drones 1,2,4        Fleet sizes k (default: 1,2,4)
+      --runs 3              Timed runs per instance; the median is reported (default: 3)
+      --seed 1              Seed of the generated instances
+      --layout disk         Zone layout: disk, clustered or corridor
+      --mode dense          Distances: dense (n × n matrix), large (spatial index,
+                            on demand) or both to compare them (default: dense)
+      --format table|json   Output (default: table)`;
+
+// Options that take no value
+const FLAGS = new Set(['exact', 'help']);
+
+/**
+ * Split argv into the command, positional arguments and --options
+ */
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const key = arg.slice(2);
+        if (FLAGS.has(key)) {
+            options[key] = true;
+        } else if (i + 1 < argv.length) {
+            options[key] = argv[++i];
+        } else {
+            throw new Error(`Option --${key} needs a value`);
+        }
+    }
+
+    return { command: positional[0], positional: positional.slice(1), options };
+}
+
+/**
+ * A comma-separated list of positive integers ("25,50,100")
+ */
+function parseIntegerList(text, option) {
+    const values = String(text).split(',').map(value => Number(value.trim()));
+    if (values.some(value => !Number.isInteger(value) || value < 1)) {
+        throw new Error(`--${option} takes positive integers separated by commas`);
+    }
+    return values;
+}
+
+/**
+ * Rows of cells as aligned text columns; numbers, times and percentages are
+ * right-aligned
+ */
+function formatTable(header, rows) {
+    const widths = header.map((title, c) => Math.max(title.length, ...rows.map(row => String(row[c]).length)));
+    const line = row => row.map((cell, c) => /^[-+\d.:%/×]+$/.test(String(cell))
+        ? String(cell).padStart(widths[c])
+        : String(cell).padEnd(widths[c])).join('  ').trimEnd();
+
+    return [line(header), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(line)].join('\n');
+}
+
+/**
+ * Format mission minutes as h:mm
+ */
+function formatMinutes(minutes) {
+    const total = Math.round(Number(minutes));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Load a scenario file and plan it
+ */
+function planScenario(file, options) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read scenario ${file}: ${error.message}`);
+    }
+
+    const optimizer = new DroneDeliveryOptimizer();
+    optimizer.loadScenario(data);
+
+    if (options.strategy !== undefined) {
+        if (!optimizer.strategies.has(options.strategy)) {
+            throw new Error(`Unknown strategy "${options.strategy}" (one of ${[...optimizer.strategies.keys()].join(', ')})`);
+        }
+        optimizer.configure({ strategy: options.strategy });
+    }
+    if (options.improve !== undefined) {
+        const improvementTime = Number(options.improve);
+        if (!(improvementTime >= 0)) throw new Error('--improve takes a number of milliseconds');
+        optimizer.configure({ improvementTime });
+    }
+
+    if (options.exact) {
+        const refusal = optimizer.exactUnsupportedReason();
+        if (refusal) throw new Error(`Exact mode unavailable: ${refusal}`);
+        return { optimizer, results: optimizer.solveExact() };
+    }
+    return { optimizer, results: optimizer.optimize() };
+}
+
+/**
+ * The plan as JSON: the summary, and each drone's load manifest
+ */
+function planToJson(optimizer, results) {
+    return {
+        summary: results.summary,
+        drones: results.drones.map(drone => ({
+            id: drone.id,
+            name: drone.name,
+            failed: drone.failed,
+            sorties: drone.sorties.length,
+            totalDistance: Number(drone.totalDistance.toFixed(2)),
+            totalDelivered: drone.totalDelivered,
+            missionTime: Number(drone.missionTime.toFixed(1)),
+            manifest: optimizer.loadManifest(drone)
+        }))
+    };
+}
+
+/**
+ * The plan as text: the summary, warnings, and a stop table per drone
+ */
+function planToTable(optimizer, results) {
+    const summary = results.summary;
+    const lines = [
+        `Strategy:      ${summary.strategy}`,
+        `Distance:      ${summary.totalDistance} km (lower bound ${summary.distanceLowerBound} km)`,
+        `Zones served:  ${summary.zonesServed}/${summary.totalZones} (critical ${summary.criticalServed}/${summary.totalCritical}, moderate ${summary.moderateServed}/${summary.totalModerate}, low ${summary.lowServed}/${summary.totalLow})`,
+        `Undelivered:   ${summary.remainingDemand} units (${summary.partiallyServed} zone(s) partly served)`,
+        `Sorties:       ${summary.totalSorties}, mission time ${formatMinutes(summary.missionTime)}, ${summary.lateStops} late stop(s)`,
+        `Mission score: ${summary.missionScore}`,
+        `Run time:      ${summary.executionTime} ms`
+    ];
+    if (summary.optimalityGap !== undefined) {
+        lines.push(`Optimal cost:  ${summary.optimalCost} (heuristic ${summary.heuristicCost}, gap ${summary.optimalityGap}%)`);
+    }
+    summary.criticalWarnings.forEach(warning => lines.push(`Warning:       ${warning}`));
+    lines.push(`Plan check:    ${summary.violations.length === 0 ? 'passed' : `${summary.violations.length} violation(s)`}`);
+    summary.violations.forEach(violation => lines.push(`  ${violation.rule}: ${violation.message}`));
+
+    results.drones.forEach(drone => {
+        lines.push('');
+        if (drone.sorties.length === 0) {
+            lines.push(`${drone.name}: ${drone.failed ? 'grounded' : 'no sorties'}`);
+            return;
+        }
+
+        lines.push(`${drone.name}: ${drone.sorties.length} sortie(s), ${drone.totalDistance.toFixed(2)} km, ${drone.totalDelivered} units, ${formatMinutes(drone.missionTime)}`);
+        const rows = optimizer.loadManifest(drone).map(row => [
+            row.sortie, row.stop, row.name, row.type, formatMinutes(row.time), row.drop, row.onBoard,
+            row.cumulativeDistance.toFixed(2), `${row.batteryPercent.toFixed(0)}%`
+        ]);
+        lines.push(formatTable(['Sortie', '#', 'Stop', 'Type', 'Time', 'Drop', 'On board', 'Total km', 'Battery'], rows));
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Benchmark instance: n relief zones within 25 km of the base, served by k
+ * standard drones allowed enough sorties to reach them all, planned on the
+ * dense or the large-instance path
+ */
+function benchmarkInstance(n, k, seed, layout, mode = 'dense') {
+    const base = { lat: 34.0151, lng: 73.0169 };
+    const optimizer = new DroneDeliveryOptimizer();
+    optimizer.setBase(base.lat, base.lng);
+
+    new ZoneGenerator(seed)
+        .generate(base, n, { layout, radiusKm: 25, minDemand: 5, maxDemand: 40 })
+        .forEach(zone => optimizer.addZone(zone));
+
+    for (let d = 1; d <= k; d++) {
+        optimizer.addDrone(new Drone(d, 180, 80, 60));
+    }
+    optimizer.configure({ maxSorties: n, largeInstanceZones: mode === 'large' ? 0 : Infinity });
+
+    return optimizer;
+}
+
+/**
+ * Bytes in use on the heap, after a collection when node runs with --expose-gc
+ */
+function heapUsed() {
+    if (global.gc) global.gc();
+    return process.memoryUsage().heapUsed;
+}
+
+/**
+ * Middle value of a list of numbers (the mean of the two middle ones for
+ * an even count)
+ */
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Least-squares slope of log(y) against log(x): the exponent of a power law
+ */
+function powerLawExponent(xs, ys) {
+    const points = xs.map((x, i) => [Math.log(x), Math.log(ys[i])]).filter(([, y]) => Number.isFinite(y));
+    if (points.length < 2) return null;
+
+    const meanX = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+    const meanY = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+    const covariance = points.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0);
+    const variance = points.reduce((sum, [x]) => sum + (x - meanX) ** 2, 0);
+    return variance > 0 ? covariance / variance : null;
+}
+
+// Run times below this are mostly timer resolution and JIT noise
+const MIN_FIT_TIME_MS = 5;
+
+/**
+ * How the run time grows with xs: { exponent, note }. Times too short to
+ * measure are left out of the fit; when fewer than two are left, or the
+ * fit comes out negative (noise swamping the growth), exponent is null and
+ * note says why.
+ */
+function growthFit(xs, times) {
+    const kept = xs.map((x, i) => [x, times[i]]).filter(([, time]) => time >= MIN_FIT_TIME_MS);
+    if (kept.length < 2) {
+        return { exponent: null, note: `fewer than two run times of ${MIN_FIT_TIME_MS} ms or more` };
+    }
+
+    const exponent = powerLawExponent(kept.map(([x]) => x), kept.map(([, time]) => time));
+    if (exponent === null) return { exponent: null, note: 'needs two different sizes' };
+    if (exponent < 0) return { exponent: null, note: `run times too noisy, fit ${exponent.toFixed(2)}` };
+    return { exponent, note: kept.length < xs.length ? `${xs.length - kept.length} run time(s) under ${MIN_FIT_TIME_MS} ms left out` : null };
+}
+
+/**
+ * Time the optimizer over every (mode, n, k), and fit how the run time
+ * grows with n (at each k) and with k (at the largest n). Memory is what
+ * the planned optimizer holds on the heap (the matrix, on the dense path).
+ */
+function runBenchmark(options) {
+    const sizes = parseIntegerList(options.sizes || '25,50,100,200,400', 'sizes');
+    const fleets = parseIntegerList(options.drones || '1,2,4', 'drones');
+    const [runs] = parseIntegerList(options.runs || '3', 'runs');
+    const [seed] = parseIntegerList(options.seed || '1', 'seed');
+    const layout = options.layout || 'disk';
+    const mode = options.mode || 'dense';
+    if (!['dense', 'large', 'both'].includes(mode)) throw new Error('--mode is dense, large or both');
+    const modes = mode === 'both' ? ['dense', 'large'] : [mode];
+
+    const rows = [];
+    modes.forEach(path => sizes.forEach(n => fleets.forEach(k => {
+        const times = [];
+        const heaps = [];
+        let results = null;
+        // Every run plans the same instance; the first only warms up the JIT
+        for (let run = 0; run <= runs; run++) {
+            const optimizer = benchmarkInstance(n, k, seed * 7919 + n * 31 + k, layout, path);
+            const before = heapUsed();
+            results = optimizer.optimize();
+            if (run > 0) {
+                times.push(optimizer.executionTime);
+                heaps.push(heapUsed() - before);
+            }
+        }
+        const time = median(times);
+
+        rows.push({
+            mode: path,
+            n,
+            k,
+            timeMs: Number(time.toFixed(2)),
+            heapMB: Number((Math.max(0, median(heaps)) / 1e6).toFixed(1)),
+            distance: Number(results.summary.totalDistance),
+            zonesServed: results.summary.zonesServed,
+            sorties: results.summary.totalSorties,
+            // Flat across rows when the O(s × k × n²) bound is tight (s × k = sorties flown)
+            nsPerSkn2: Number((time * 1e6 / (Math.max(1, results.summary.totalSorties) * n * n)).toFixed(3))
+        });
+    })));
+
+    const largest = Math.max(...sizes);
+    const fits = modes.map(path => {
+        const rowsOf = rows.filter(row => row.mode === path);
+        const exponentInN = fleets.map(k => {
+            const sample = rowsOf.filter(row => row.k === k);
+            return { k, ...growthFit(sample.map(row => row.n), sample.map(row => row.timeMs)) };
+        });
+        const sample = rowsOf.filter(row => row.n === largest);
+        const exponentInK = { n: largest, ...growthFit(sample.map(row => row.k), sample.map(row => row.timeMs)) };
+        return { mode: path, exponentInN, exponentInK };
+    });
+
+    // Large-instance mode against the dense path on the same instances
+    const gains = modes.length < 2 ? [] : rows.filter(row => row.mode === 'large').map(row => {
+        const dense = rows.find(other => other.mode === 'dense' && other.n === row.n && other.k === row.k);
+        return {
+            n: row.n,
+            k: row.k,
+            speedup: Number((dense.timeMs / row.timeMs).toFixed(2)),
+            memoryRatio: row.heapMB > 0 ? Number((dense.heapMB / row.heapMB).toFixed(1)) : null,
+            distanceChange: Number(((row.distance - dense.distance) / dense.distance * 100).toFixed(2))
+        };
+    });
+
+    return { seed, layout, runs, rows, fits, gains };
+}
+
+/**
+ * The benchmark as text: a row per instance, then the fitted exponents
+ */
+function benchmarkToTable(benchmark) {
+    const growth = (variable, fit, at) => (fit.exponent === null ? `  ${variable}: no fit ${at}` : `  ${variable}^${fit.exponent.toFixed(2)} ${at}`) +
+        (fit.note ? ` (${fit.note})` : '');
+    const table = formatTable(
+        ['mode', 'n', 'k', 'time ms', 'heap MB', 'distance km', 'served', 'sorties', 'ns / (s·k·n²)'],
+        benchmark.rows.map(row => [row.mode, row.n, row.k, row.timeMs.toFixed(2), row.heapMB.toFixed(1), row.distance.toFixed(2),
+            `${row.zonesServed}/${row.n}`, row.sorties, row.nsPerSkn2.toFixed(3)])
+    );
+
+    const lines = [
+        `Seed ${benchmark.seed}, ${benchmark.layout} layout, median of ${benchmark.runs} run(s)`,
+        '',
+        table
+    ];
+    benchmark.fits.forEach(fit => lines.push(
+        '',
+        fit.mode === 'dense' ?
+            'Run time grows as (algorithm.js claims O(s × k × n²), s sorties per drone):' :
+            'Run time grows in large-instance mode as:',
+        ...fit.exponentInN.map(entry => growth('n', entry, `at k = ${entry.k}`)),
+        growth('k', fit.exponentInK, `at n = ${fit.exponentInK.n}`)
+    ));
+    if (benchmark.gains.length > 0) {
+        lines.push('', 'Large-instance mode against the dense matrix:', formatTable(
+            ['n', 'k', 'faster', 'less memory', 'distance'],
+            benchmark.gains.map(gain => [gain.n, gain.k, `${gain.speedup.toFixed(2)}×`,
+                gain.memoryRatio === null ? 'n/a' : `${gain.memoryRatio.toFixed(1)}×`,
+                `${gain.distanceChange > 0 ? '+' : ''}${gain.distanceChange.toFixed(2)}%`])
+        ));
+    }
+
+    return lines.join('\n');
+}
+
+function main(argv) {
+    const { command, positional, options } = parseArgs(argv);
+    const format = options.format || 'table';
+    if (format !== 'table' && format !== 'json') {
+        throw new Error('--format is either table or json');
+    }
+
+    if (command === 'plan' && !options.help) {
+        if (positional.length !== 1) throw new Error('plan takes one scenario file');
+        const { optimizer, results } = planScenario(positional[0], options);
+        console.log(format === 'json' ? JSON.stringify(planToJson(optimizer, results), null, 2) : planToTable(optimizer, results));
+    } else if (command === 'bench' && !options.help) {
+        const benchmark = runBenchmark(options);
+        console.log(format === 'json' ? JSON.stringify(benchmark, null, 2) : benchmarkToTable(benchmark));
+    } else {
+        console.log(USAGE);
+        if (!options.help && command !== undefined) process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { parseArgs, planScenario, planToJson, planToTable, runBenchmark, benchmarkToTable };
@@ -0,0 +1,68 @@
+/**
+ * DRONE DELIVERY SYSTEM - OPTIMIZER WORKER
+ * Runs the optimizer off the page's thread so the map stays responsive.
+ *
+ * Messages from the page:
+ *   { type: 'run', mode: 'optimize' | 'exact' | 'compare', scenario }
+ *       scenario as written by toScenario()
+ *
+ * Messages to the page:
+ *   { type: 'progress', phase, fraction }   how far the current phase is (0-1)
+ *   { type: 'best', plan }                  a better plan (see exportPlan), while running
+ *   { type: 'done', plan, runs }            the final plan; runs only when comparing
+ *   { type: 'error', message }
+ *
+ * Cancelling is terminating the worker: the page keeps the last plan it got.
+ */
+
+importScripts('algorithm.js');
+
+self.onmessage = function(event) {
+    const { type, mode, scenario } = event.data;
+    if (type !== 'run') return;
+
+    try {
+        const optimizer = new DroneDeliveryOptimizer();
+        optimizer.loadScenario(scenario);
+        optimizer.onProgress = ({ phase, fraction, plan }) => {
+            self.postMessage({ type: 'progress', phase, fraction });
+            if (plan) self.postMessage({ type: 'best', plan });
+        };
+
+        if (mode === 'compare') {
+            const runs = optimizer.compareStrategies().map(slimRun);
+            self.postMessage({ type: 'done', plan: optimizer.exportPlan(), runs });
+        } else if (mode === 'exact') {
+            const results = optimizer.solveExact();
+            const plan = optimizer.exportPlan();
+            plan.summary = {};
+            EXACT_SUMMARY_FIELDS.forEach(field => plan.summary[field] = results.summary[field]);
+            self.postMessage({ type: 'done', plan });
+        } else {
+            optimizer.optimize();
+            self.postMessage({ type: 'done', plan: optimizer.exportPlan() });
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
+
+/**
+ * What the comparison table and overlays need of a strategy run: the
+ * results hold zone objects that are not worth copying back
+ */
+function slimRun(run) {
+    return {
+        name: run.name,
+        label: run.label,
+        results: {
+            summary: run.results.summary,
+            convergence: run.results.convergence,
+            drones: run.results.drones.map(drone => ({
+                id: drone.id,
+                name: drone.name,
+                path: drone.path.map(point => ({ lat: point.lat, lng: point.lng }))
+            }))
+        }
+    };
+}